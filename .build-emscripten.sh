@@ -39,5 +39,10 @@ cp ../../../../build/sizes.c .
 emcc -O3 -I ../include *.c -o libh3.1.js -DH3_HAVE_VLA -s INVOKE_RUN=0 -s EXPORT_NAME="'libh3'" -s MODULARIZE=1 -s NO_FILESYSTEM=1 -s TOTAL_MEMORY=33554432 -s ALLOW_MEMORY_GROWTH=1 -s WARN_UNALIGNED=1 -s EXPORTED_FUNCTIONS=$bound_functions -s EXTRA_EXPORTED_RUNTIME_METHODS='["cwrap", "getValue", "setValue"]' --memory-init-file 0
 cp libh3.1.js ../../../../out/libh3.1.js
 echo "module.exports = libh3();" >> ../../../../out/libh3.1.js
+# Compile a WebAssembly build of the same bindings. This exports the module factory,
+# as the module is compiled asynchronously.
+emcc -O3 -I ../include *.c -o libh3-wasm.js -DH3_HAVE_VLA -s WASM=1 -s INVOKE_RUN=0 -s EXPORT_NAME="'libh3'" -s MODULARIZE=1 -s NO_FILESYSTEM=1 -s TOTAL_MEMORY=33554432 -s ALLOW_MEMORY_GROWTH=1 -s WARN_UNALIGNED=1 -s EXPORTED_FUNCTIONS=$bound_functions -s EXTRA_EXPORTED_RUNTIME_METHODS='["cwrap", "getValue", "setValue"]'
+cp libh3-wasm.js libh3-wasm.wasm ../../../../out/
+echo "module.exports = libh3;" >> ../../../../out/libh3-wasm.js
 popd
 popd
@@ -0,0 +1,362 @@
+/*
+ * Copyright 2018 Uber Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// IJK hexagon coordinate math, following coordijk.c in the H3 core library. Coordinates
+// are {i, j, k} objects on three axes 120 degrees apart; all functions return new objects.
+
+// Digits, which double as the directions to each neighbor of a hexagon
+const CENTER_DIGIT = 0;
+const K_AXES_DIGIT = 1;
+const J_AXES_DIGIT = 2;
+const JK_AXES_DIGIT = 3;
+const I_AXES_DIGIT = 4;
+const IK_AXES_DIGIT = 5;
+const IJ_AXES_DIGIT = 6;
+const INVALID_DIGIT = 7;
+
+// Unit vectors for each digit
+const UNIT_VECS = [
+    {i: 0, j: 0, k: 0},
+    {i: 0, j: 0, k: 1},
+    {i: 0, j: 1, k: 0},
+    {i: 0, j: 1, k: 1},
+    {i: 1, j: 0, k: 0},
+    {i: 1, j: 0, k: 1},
+    {i: 1, j: 1, k: 0}
+];
+
+// Digit rotations, indexed by digit
+const ROTATE_60_CW = [
+    CENTER_DIGIT,
+    JK_AXES_DIGIT,
+    IJ_AXES_DIGIT,
+    J_AXES_DIGIT,
+    IK_AXES_DIGIT,
+    K_AXES_DIGIT,
+    I_AXES_DIGIT,
+    INVALID_DIGIT
+];
+const ROTATE_60_CCW = [
+    CENTER_DIGIT,
+    IK_AXES_DIGIT,
+    JK_AXES_DIGIT,
+    K_AXES_DIGIT,
+    IJ_AXES_DIGIT,
+    I_AXES_DIGIT,
+    J_AXES_DIGIT,
+    INVALID_DIGIT
+];
+
+/**
+ * Normalize IJK coordinates so that all components are non-negative and at
+ * least one is zero
+ * @param  {Object} ijk IJK coordinates
+ * @return {Object}     Normalized IJK coordinates
+ */
+function ijkNormalize(ijk) {
+    let {i, j, k} = ijk;
+    // Remove any negative values
+    if (i < 0) {
+        j -= i;
+        k -= i;
+        i = 0;
+    }
+    if (j < 0) {
+        i -= j;
+        k -= j;
+        j = 0;
+    }
+    if (k < 0) {
+        i -= k;
+        j -= k;
+        k = 0;
+    }
+    // Remove the min value if needed
+    const min = Math.min(i, j, k);
+    return {i: i - min, j: j - min, k: k - min};
+}
+
+/**
+ * Add two sets of IJK coordinates. The result is not normalized.
+ * @param  {Object} a IJK coordinates
+ * @param  {Object} b IJK coordinates
+ * @return {Object}   Sum of the coordinates
+ */
+function ijkAdd(a, b) {
+    return {i: a.i + b.i, j: a.j + b.j, k: a.k + b.k};
+}
+
+/**
+ * Subtract one set of IJK coordinates from another. The result is not normalized.
+ * @param  {Object} a IJK coordinates
+ * @param  {Object} b IJK coordinates to subtract
+ * @return {Object}   Difference of the coordinates
+ */
+function ijkSub(a, b) {
+    return {i: a.i - b.i, j: a.j - b.j, k: a.k - b.k};
+}
+
+/**
+ * Transform IJK coordinates by expressing each axis as a vector in a new basis
+ * @param  {Object} ijk  IJK coordinates
+ * @param  {Object} iVec New i unit vector
+ * @param  {Object} jVec New j unit vector
+ * @param  {Object} kVec New k unit vector
+ * @return {Object}      Normalized, transformed coordinates
+ */
+function ijkTransform(ijk, iVec, jVec, kVec) {
+    return ijkNormalize({
+        i: ijk.i * iVec.i + ijk.j * jVec.i + ijk.k * kVec.i,
+        j: ijk.i * iVec.j + ijk.j * jVec.j + ijk.k * kVec.j,
+        k: ijk.i * iVec.k + ijk.j * jVec.k + ijk.k * kVec.k
+    });
+}
+
+/**
+ * Find the center of the aperture 7 child of a hexagon at the next finer
+ * Class III resolution (rotated counter-clockwise)
+ * @param  {Object} ijk IJK coordinates of the parent
+ * @return {Object}     IJK coordinates of the center child
+ */
+function downAp7(ijk) {
+    return ijkTransform(ijk, {i: 3, j: 0, k: 1}, {i: 1, j: 3, k: 0}, {i: 0, j: 1, k: 3});
+}
+
+/**
+ * Find the center of the aperture 7 child of a hexagon at the next finer
+ * Class II resolution (rotated clockwise)
+ * @param  {Object} ijk IJK coordinates of the parent
+ * @return {Object}     IJK coordinates of the center child
+ */
+function downAp7r(ijk) {
+    return ijkTransform(ijk, {i: 3, j: 1, k: 0}, {i: 0, j: 3, k: 1}, {i: 1, j: 0, k: 3});
+}
+
+/**
+ * Find the aperture 7 parent of a hexagon at the next coarser resolution, for a
+ * Class III child resolution
+ * @param  {Object} ijk IJK coordinates of the child
+ * @return {Object}     IJK coordinates of the parent
+ */
+function upAp7(ijk) {
+    const i = ijk.i - ijk.k;
+    const j = ijk.j - ijk.k;
+    return ijkNormalize({
+        i: roundHalfAwayFromZero((3 * i - j) / 7),
+        j: roundHalfAwayFromZero((i + 2 * j) / 7),
+        k: 0
+    });
+}
+
+/**
+ * Find the aperture 7 parent of a hexagon at the next coarser resolution, for a
+ * Class II child resolution
+ * @param  {Object} ijk IJK coordinates of the child
+ * @return {Object}     IJK coordinates of the parent
+ */
+function upAp7r(ijk) {
+    const i = ijk.i - ijk.k;
+    const j = ijk.j - ijk.k;
+    return ijkNormalize({
+        i: roundHalfAwayFromZero((2 * i + j) / 7),
+        j: roundHalfAwayFromZero((3 * j - i) / 7),
+        k: 0
+    });
+}
+
+/**
+ * Get the digit for a unit vector
+ * @param  {Object} ijk IJK coordinates of the unit vector
+ * @return {Number}     Digit for the vector, or the invalid digit if it is not a unit vector
+ */
+function unitIjkToDigit(ijk) {
+    const {i, j, k} = ijkNormalize(ijk);
+    for (let digit = CENTER_DIGIT; digit < INVALID_DIGIT; digit++) {
+        const vec = UNIT_VECS[digit];
+        if (vec.i === i && vec.j === j && vec.k === k) {
+            return digit;
+        }
+    }
+    return INVALID_DIGIT;
+}
+
+/**
+ * Find the neighbor of a hexagon in the given direction
+ * @param  {Object} ijk   IJK coordinates of the hexagon
+ * @param  {Number} digit Direction of the neighbor
+ * @return {Object}       IJK coordinates of the neighbor
+ */
+function neighbor(ijk, digit) {
+    if (digit > CENTER_DIGIT && digit < INVALID_DIGIT) {
+        return ijkNormalize(ijkAdd(ijk, UNIT_VECS[digit]));
+    }
+    return ijk;
+}
+
+/**
+ * Rotate IJK coordinates 60 degrees clockwise
+ * @param  {Object} ijk IJK coordinates
+ * @return {Object}     Rotated coordinates
+ */
+function ijkRotate60cw(ijk) {
+    return ijkTransform(ijk, {i: 1, j: 0, k: 1}, {i: 1, j: 1, k: 0}, {i: 0, j: 1, k: 1});
+}
+
+/**
+ * Rotate IJK coordinates 60 degrees counter-clockwise
+ * @param  {Object} ijk IJK coordinates
+ * @return {Object}     Rotated coordinates
+ */
+function ijkRotate60ccw(ijk) {
+    return ijkTransform(ijk, {i: 1, j: 1, k: 0}, {i: 0, j: 1, k: 1}, {i: 1, j: 0, k: 1});
+}
+
+/**
+ * Rotate a digit 60 degrees clockwise
+ * @param  {Number} digit Digit to rotate
+ * @return {Number}       Rotated digit
+ */
+function rotate60cw(digit) {
+    return ROTATE_60_CW[digit];
+}
+
+/**
+ * Rotate a digit 60 degrees counter-clockwise
+ * @param  {Number} digit Digit to rotate
+ * @return {Number}       Rotated digit
+ */
+function rotate60ccw(digit) {
+    return ROTATE_60_CCW[digit];
+}
+
+/**
+ * Get the digit for the direction opposite the given direction
+ * @param  {Number} digit Direction
+ * @return {Number}       Opposite direction
+ */
+function oppositeDigit(digit) {
+    return digit > CENTER_DIGIT && digit < INVALID_DIGIT ? INVALID_DIGIT - digit : digit;
+}
+
+/**
+ * Get the grid distance between two sets of IJK coordinates
+ * @param  {Object} a IJK coordinates
+ * @param  {Object} b IJK coordinates
+ * @return {Number}   Number of steps between the coordinates
+ */
+function ijkDistance(a, b) {
+    const diff = ijkNormalize(ijkSub(a, b));
+    return Math.max(Math.abs(diff.i), Math.abs(diff.j), Math.abs(diff.k));
+}
+
+/**
+ * Convert IJK coordinates to IJ coordinates
+ * @param  {Object} ijk IJK coordinates
+ * @return {Object}     IJ coordinates, as an {i, j} object
+ */
+function ijkToIj(ijk) {
+    return {i: ijk.i - ijk.k, j: ijk.j - ijk.k};
+}
+
+/**
+ * Convert IJ coordinates to IJK coordinates
+ * @param  {Object} ij IJ coordinates, as an {i, j} object
+ * @return {Object}    Normalized IJK coordinates
+ */
+function ijToIjk(ij) {
+    return ijkNormalize({i: ij.i, j: ij.j, k: 0});
+}
+
+/**
+ * Convert IJK coordinates to cube coordinates, where i + j + k = 0
+ * @param  {Object} ijk IJK coordinates
+ * @return {Object}     Cube coordinates
+ */
+function ijkToCube(ijk) {
+    const i = -ijk.i + ijk.k;
+    const j = ijk.j - ijk.k;
+    return {i, j, k: -i - j};
+}
+
+/**
+ * Convert cube coordinates to IJK coordinates
+ * @param  {Object} cube Cube coordinates
+ * @return {Object}      Normalized IJK coordinates
+ */
+function cubeToIjk(cube) {
+    return ijkNormalize({i: -cube.i, j: cube.j, k: 0});
+}
+
+/**
+ * Round a number half away from zero, as C's round() does
+ * @param  {Number} value Number to round
+ * @return {Number}       Rounded number
+ */
+function roundHalfAwayFromZero(value) {
+    return value < 0 ? -Math.round(-value) : Math.round(value);
+}
+
+/**
+ * Round fractional cube coordinates to the containing cube coordinates, keeping
+ * i + j + k = 0 by recomputing the component with the largest rounding error
+ * @param  {Number} i Fractional i coordinate
+ * @param  {Number} j Fractional j coordinate
+ * @param  {Number} k Fractional k coordinate
+ * @return {Object}   Cube coordinates
+ */
+function cubeRound(i, j, k) {
+    let ri = roundHalfAwayFromZero(i);
+    let rj = roundHalfAwayFromZero(j);
+    let rk = roundHalfAwayFromZero(k);
+    const iDiff = Math.abs(ri - i);
+    const jDiff = Math.abs(rj - j);
+    const kDiff = Math.abs(rk - k);
+    if (iDiff > jDiff && iDiff > kDiff) {
+        ri = -rj - rk;
+    } else if (jDiff > kDiff) {
+        rj = -ri - rk;
+    } else {
+        rk = -ri - rj;
+    }
+    return {i: ri, j: rj, k: rk};
+}
+
+module.exports = {
+    CENTER_DIGIT,
+    K_AXES_DIGIT,
+    INVALID_DIGIT,
+    UNIT_VECS,
+    ijkNormalize,
+    ijkAdd,
+    ijkSub,
+    downAp7,
+    downAp7r,
+    upAp7,
+    upAp7r,
+    unitIjkToDigit,
+    neighbor,
+    ijkRotate60cw,
+    ijkRotate60ccw,
+    rotate60cw,
+    rotate60ccw,
+    oppositeDigit,
+    ijkDistance,
+    ijkToIj,
+    ijToIjk,
+    ijkToCube,
+    cubeToIjk,
+    cubeRound
+};
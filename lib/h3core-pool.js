@@ -0,0 +1,535 @@
+/*
+ * Copyright 2018 Uber Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Pool of workers for long-running jobs, which would otherwise block the event loop.
+// Jobs are split into tasks run in Node worker threads, child processes or Web Workers,
+// and the task results merged. Each worker loads its own copy of the library.
+
+/* global navigator, Worker */
+
+const h3core = require('./h3core');
+const {isTransmeridian, samplePoints} = require('./polygon');
+
+const {H3Error, H3_ERROR_CODES} = h3core;
+
+// Number of resolutions between the hexagons filled by a polyfill job and the coarse
+// tile hexagons it is split by
+const TILE_RES_OFFSET = 3;
+
+// Number of tasks to split each job into per worker, to even out uneven tasks
+const TASKS_PER_WORKER = 4;
+
+// ----------------------------------------------------------------------------
+// Workers
+
+/**
+ * Get the number of workers to use when no pool size is given
+ * @return {Number} Number of logical processors
+ */
+function getDefaultPoolSize() {
+    if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+        return navigator.hardwareConcurrency;
+    }
+    return require('os').cpus().length || 1;
+}
+
+/**
+ * Start a Web Worker running the worker script
+ * @param  {String} workerUrl URL of the bundled worker script
+ * @return {Object}           Worker wrapper
+ */
+function startWebWorker(workerUrl) {
+    const worker = new Worker(workerUrl);
+    return {
+        post: message => worker.postMessage(message),
+        listen(onMessage, onError) {
+            worker.onmessage = event => onMessage(event.data);
+            worker.onerror = event => {
+                event.preventDefault();
+                onError(event.message);
+            };
+        },
+        ref() {},
+        unref() {},
+        terminate: () => Promise.resolve(worker.terminate())
+    };
+}
+
+/**
+ * Start a Node worker thread running the worker script
+ * @param  {Function} NodeWorker Worker class from the worker_threads module
+ * @return {Object}              Worker wrapper
+ */
+function startNodeWorker(NodeWorker) {
+    const worker = new NodeWorker(`${__dirname}/h3core-worker.js`);
+    return {
+        post: message => worker.postMessage(message),
+        listen(onMessage, onError) {
+            worker.on('message', onMessage);
+            worker.on('error', error => onError(error.message));
+        },
+        // Only keep the process alive while the worker has a task
+        ref: () => worker.ref(),
+        unref: () => worker.unref(),
+        terminate() {
+            // Keep the process alive until the worker has stopped
+            worker.ref();
+            return worker.terminate();
+        }
+    };
+}
+
+/**
+ * Start a Node child process running the worker script, for Node versions without
+ * worker threads
+ * @param  {Function} fork Fork function from the child_process module
+ * @return {Object}        Worker wrapper
+ */
+function startChildProcess(fork) {
+    const child = fork(`${__dirname}/h3core-worker.js`);
+    let stopping = false;
+    // The IPC channel keeps the process alive, but can only be unref'd from Node 7.1
+    const channel = child.channel && child.channel.unref ? child.channel : {ref() {}, unref() {}};
+    return {
+        post: message => child.send(message),
+        listen(onMessage, onError) {
+            child.on('message', onMessage);
+            child.on('error', error => onError(error.message));
+            child.on('exit', code => {
+                if (!stopping) {
+                    onError(`Worker process exited with code ${code}`);
+                }
+            });
+        },
+        // Only keep the process alive while the worker has a task
+        ref() {
+            child.ref();
+            channel.ref();
+        },
+        unref() {
+            child.unref();
+            channel.unref();
+        },
+        terminate() {
+            stopping = true;
+            if (child.exitCode !== null || child.signalCode !== null) {
+                return Promise.resolve();
+            }
+            // Keep the process alive until the worker has stopped
+            child.ref();
+            return new Promise(resolve => {
+                child.once('exit', () => resolve());
+                child.kill();
+            });
+        }
+    };
+}
+
+/**
+ * Get a function starting workers in the current environment
+ * @param  {String} [workerUrl] URL of the bundled worker script, for Web Workers
+ * @return {Function}           Function returning a new worker wrapper
+ * @throws {H3Error}            If workers are not supported, or the URL is missing
+ */
+function getWorkerStarter(workerUrl) {
+    if (typeof Worker !== 'undefined') {
+        if (!workerUrl) {
+            throw new H3Error(
+                H3_ERROR_CODES.invalidArgument,
+                'A workerUrl for the bundled h3core-worker.js is required to use Web Workers'
+            );
+        }
+        return () => startWebWorker(workerUrl);
+    }
+    let NodeWorker = null;
+    try {
+        NodeWorker = require('worker_threads').Worker;
+    } catch (err) {
+        // Before Node 11.7, worker threads are only available behind a flag
+    }
+    if (NodeWorker) {
+        return () => startNodeWorker(NodeWorker);
+    }
+    const {fork} = require('child_process');
+    if (!fork) {
+        throw new H3Error(
+            H3_ERROR_CODES.unsupportedEnvironment,
+            'Neither Web Workers nor Node workers are supported in this environment'
+        );
+    }
+    return () => startChildProcess(fork);
+}
+
+/**
+ * Convert an error reply from a worker back to an error
+ * @param  {Object} error Error name, code and message
+ * @return {Error}        H3Error, or a plain Error for other errors
+ */
+function toError(error) {
+    if (error.name === 'H3Error') {
+        return new H3Error(error.code, error.message);
+    }
+    const out = new Error(error.message);
+    out.name = error.name;
+    return out;
+}
+
+// ----------------------------------------------------------------------------
+// Splitting jobs into tasks
+
+/**
+ * Split a list into contiguous chunks of roughly equal total weight
+ * @param  {Array}    items   Items to split
+ * @param  {Number[]} weights Weight of each item
+ * @param  {Number}   count   Maximum number of chunks
+ * @return {Array[]}          Non-empty chunks, in order
+ */
+function splitByWeight(items, weights, count) {
+    if (!items.length) {
+        return [];
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const chunks = [[]];
+    let sum = 0;
+    items.forEach((item, i) => {
+        const current = chunks[chunks.length - 1];
+        if (current.length && sum >= (total * chunks.length) / count) {
+            chunks.push([item]);
+        } else {
+            current.push(item);
+        }
+        sum += weights[i];
+    });
+    return chunks;
+}
+
+/**
+ * Get the coarse tile hexagons that are parents of all hexagons a polygon could fill.
+ * Fine hexagons lie within the neighbors of their parent, so the loops of the polygon
+ * only reach the children of tiles within two steps of points sampled along them,
+ * closely enough that every tile a loop crosses is a sampled tile or a neighbor of
+ * one. The children of all other tiles are entirely inside or outside the polygon,
+ * as the tile center is.
+ * @param  {Array[]} loops   Polygon loops of [lat, lng] points
+ * @param  {Number}  tileRes Resolution of tile hexagons
+ * @return {Object}          {interior, boundary}, the H3 addresses of tiles with all
+ *                           children in the polygon, and of tiles with children on
+ *                           its loops
+ */
+function getPolyfillTiles(loops, tileRes) {
+    const boundary = new Set();
+    const spacing = h3core.getSampleSpacing(tileRes);
+    loops.forEach(loop => {
+        samplePoints(loop, spacing).forEach(([lat, lng]) => {
+            h3core.kRing(h3core.geoToH3(lat, lng, tileRes), 2).forEach(tile => boundary.add(tile));
+        });
+    });
+    return {
+        interior: h3core.polyfill(loops, tileRes).filter(tile => !boundary.has(tile)),
+        boundary: Array.from(boundary)
+    };
+}
+
+/**
+ * Get a bounding box containing a set of tile hexagons and all of their children,
+ * which lie within the tiles' neighbors
+ * @param  {String[]} tiles H3 addresses of tile hexagons
+ * @return {Object}         Box with south, west, north and east bounds, or null if the
+ *                          tiles surround a pole or cross the antimeridian
+ */
+function getTilesBox(tiles) {
+    const box = {south: 90, west: 180, north: -90, east: -180};
+    tiles.forEach(tile => {
+        h3core.kRing(tile, 1).forEach(h3Address => {
+            h3core.h3ToGeoBoundary(h3Address).forEach(([lat, lng]) => {
+                box.south = Math.min(box.south, lat);
+                box.north = Math.max(box.north, lat);
+                box.west = Math.min(box.west, lng);
+                box.east = Math.max(box.east, lng);
+            });
+        });
+    });
+    return box.east - box.west > 180 ? null : box;
+}
+
+/**
+ * Group tile hexagons by their parent, so that each group covers a compact area
+ * @param  {String[]} tiles   H3 addresses of tile hexagons
+ * @param  {Number}   tileRes Resolution of tile hexagons
+ * @return {Array[]}          Groups of H3 addresses
+ */
+function groupTiles(tiles, tileRes) {
+    const groups = new Map();
+    tiles.forEach(tile => {
+        const parent = h3core.h3ToParent(tile, Math.max(0, tileRes - 1));
+        if (!groups.has(parent)) {
+            groups.set(parent, []);
+        }
+        groups.get(parent).push(tile);
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * Split a polyfill job into tasks. The polygon is divided into coarse tile hexagons:
+ * tiles inside the polygon are uncompacted, and the polygon is filled separately in
+ * small groups of tiles on its loops, as the core polyfill slows down sharply for
+ * large polygons.
+ * @param  {Array[]} coordinates Array of loops
+ * @param  {Number}  res         Resolution of hexagons to return
+ * @param  {Boolean} isGeoJson   Whether the coordinates are [lng, lat] pairs
+ * @param  {String}  mode        Containment mode, one of POLYFILL_MODES
+ * @param  {Number}  count       Maximum number of tasks of each kind
+ * @return {Array[]}             Tasks, as [task name, args] pairs
+ */
+function splitPolyfill(coordinates, res, isGeoJson, mode, count) {
+    const loops = coordinates.map(loop =>
+        loop.map(coord => (isGeoJson ? [coord[1], coord[0]] : [coord[0], coord[1]]))
+    );
+    const tileRes = Math.max(0, res - TILE_RES_OFFSET);
+    // Tiles don't clip cleanly across the antimeridian, so fill these in one task
+    if (isTransmeridian(loops) || tileRes === res) {
+        return [['polyfill', [coordinates, res, isGeoJson, mode]]];
+    }
+    const {interior, boundary} = getPolyfillTiles(loops, tileRes);
+    const pieces = groupTiles(boundary, tileRes).map(tiles => [tiles, getTilesBox(tiles)]);
+    const uncompactTasks = splitByWeight(interior, interior.map(() => 1), count).map(chunk => [
+        'uncompact',
+        [chunk, res]
+    ]);
+    const polyfillTasks = splitByWeight(pieces, pieces.map(([tiles]) => tiles.length), count).map(
+        chunk => ['polyfillTiles', [loops, res, mode, chunk]]
+    );
+    return uncompactTasks.concat(polyfillTasks);
+}
+
+/**
+ * Split a compact job into tasks by base cell, as hexagons are never compacted
+ * across base cells
+ * @param  {String[]} h3Set   H3 addresses to compact
+ * @param  {Object}   options Compact options
+ * @param  {Number}   count   Maximum number of tasks
+ * @return {Array[]}          Tasks, as [task name, args] pairs
+ */
+function splitCompact(h3Set, options, count) {
+    const byBaseCell = new Map();
+    h3Set.forEach(h3Address => {
+        const baseCell = h3core.h3GetBaseCell(h3Address);
+        if (!byBaseCell.has(baseCell)) {
+            byBaseCell.set(baseCell, []);
+        }
+        byBaseCell.get(baseCell).push(h3Address);
+    });
+    const groups = Array.from(byBaseCell.values());
+    return splitByWeight(groups, groups.map(group => group.length), count).map(chunk => [
+        'compact',
+        [[].concat(...chunk), options]
+    ]);
+}
+
+/**
+ * Split an uncompact job into tasks with roughly equal output sizes, keeping the
+ * input in order so that the merged output is in the same order as uncompact's
+ * @param  {String[]} compactedSet H3 addresses to uncompact
+ * @param  {Number}   res          Resolution to uncompact to
+ * @param  {Number}   count        Maximum number of tasks
+ * @return {Array[]}               Tasks, as [task name, args] pairs
+ */
+function splitUncompact(compactedSet, res, count) {
+    const weights = compactedSet.map(h3Address =>
+        Math.pow(7, Math.max(0, res - h3core.h3GetResolution(h3Address)))
+    );
+    return splitByWeight(compactedSet, weights, count).map(chunk => ['uncompact', [chunk, res]]);
+}
+
+// ----------------------------------------------------------------------------
+// Public API functions
+
+/**
+ * Create a pool of workers that run polyfill, compact and uncompact jobs off the main
+ * thread. In Node, workers are worker threads, or child processes where worker threads
+ * are not available; in browsers, they are Web Workers running the bundled
+ * h3core-worker.js script. Workers are started when first needed,
+ * and an idle pool doesn't keep a Node process alive.
+ * @param  {Object} [options]           Pool options
+ * @param  {Number} [options.size]      Number of workers, by default the number of
+ *                                      logical processors
+ * @param  {String} [options.workerUrl] URL of the bundled worker script, required
+ *                                      for Web Workers
+ * @return {Object}                     Pool, with polyfill, compact and uncompact
+ *                                      functions returning promises, and terminate
+ * @throws {H3Error}                    If the size is invalid, or workers are not
+ *                                      supported
+ */
+function createPool(options = {}) {
+    const size = options.size === undefined ? getDefaultPoolSize() : options.size;
+    if (!Number.isInteger(size) || size < 1) {
+        throw new H3Error(H3_ERROR_CODES.invalidArgument, `Invalid pool size: ${size}`);
+    }
+    const startPlatformWorker = getWorkerStarter(options.workerUrl);
+    const maxTasks = size * TASKS_PER_WORKER;
+    const queue = [];
+    const slots = [];
+    let terminated = false;
+
+    function startWorker() {
+        const slot = {task: null};
+        slot.worker = startPlatformWorker();
+        slot.worker.listen(
+            reply => finishTask(slot, reply),
+            message => {
+                // Drop a failed worker; another is started for the next task
+                slots.splice(slots.indexOf(slot), 1);
+                slot.worker.terminate();
+                finishTask(slot, {
+                    error: {name: 'H3Error', code: H3_ERROR_CODES.workerFailed, message}
+                });
+            }
+        );
+        slot.worker.unref();
+        slots.push(slot);
+        return slot;
+    }
+
+    function runNextTask() {
+        let slot = slots.find(candidate => !candidate.task);
+        if (!queue.length || (!slot && slots.length >= size)) {
+            return;
+        }
+        slot = slot || startWorker();
+        slot.task = queue.shift();
+        slot.worker.ref();
+        slot.worker.post({task: slot.task.name, args: slot.task.args, strict: slot.task.strict});
+    }
+
+    function finishTask(slot, reply) {
+        const {task} = slot;
+        slot.task = null;
+        slot.worker.unref();
+        if (task) {
+            if (reply.error) {
+                task.reject(toError(reply.error));
+            } else {
+                task.resolve(reply.result);
+            }
+        }
+        runNextTask();
+    }
+
+    // Split a job into tasks on the main thread, so that errors in the input and the
+    // strict mode setting are picked up when the job is started
+    function runJob(splitJob) {
+        const strict = h3core.isStrictMode();
+        return new Promise(resolve => resolve(splitJob()))
+            .then(tasks =>
+                Promise.all(
+                    tasks.map(
+                        ([name, args]) =>
+                            new Promise((resolve, reject) => {
+                                if (terminated) {
+                                    throw new H3Error(
+                                        H3_ERROR_CODES.workerFailed,
+                                        'The pool has been terminated'
+                                    );
+                                }
+                                queue.push({name, args, strict, resolve, reject});
+                                runNextTask();
+                            })
+                    )
+                )
+            )
+            .then(results => [].concat(...results));
+    }
+
+    return {
+        size,
+        /**
+         * Get all hexagons in a given polygon, as polyfill does. The polygon is split
+         * into tiles of coarse parent hexagons, filled in parallel.
+         * @param  {Array[]} coordinates Array of loops, or a single loop
+         * @param  {Number}  res         Resolution of hexagons to return
+         * @param  {Boolean} isGeoJson   Whether to expect GeoJson-style [lng, lat]
+         *                               pairs instead of [lat, lng]
+         * @param  {String}  [mode]      Containment mode, one of POLYFILL_MODES
+         * @return {Promise}             Promise resolving to the H3 addresses, in
+         *                               no particular order
+         */
+        polyfill(coordinates, res, isGeoJson, mode = h3core.POLYFILL_MODES.center) {
+            return runJob(() => {
+                // Let polyfill validate the resolution and mode before splitting the polygon
+                h3core.polyfill([], res, isGeoJson, mode);
+                if (!coordinates.length || !coordinates[0].length) {
+                    return [];
+                }
+                const loops = typeof coordinates[0][0] === 'number' ? [coordinates] : coordinates;
+                return splitPolyfill(loops, res, Boolean(isGeoJson), mode, maxTasks);
+            });
+        },
+        /**
+         * Compact a set of hexagons, as compact does. The set is split by base cell
+         * and the parts compacted in parallel.
+         * @param  {String[]} h3Set            H3 addresses to compact
+         * @param  {Object}   [compactOptions] Compact options, as for compact
+         * @return {Promise}                   Promise resolving to the compacted H3
+         *                                     addresses, in no particular order
+         */
+        compact(h3Set, compactOptions = {}) {
+            return runJob(
+                () => (h3Set && h3Set.length ? splitCompact(h3Set, compactOptions, maxTasks) : [])
+            );
+        },
+        /**
+         * Uncompact a compacted set of hexagons, as uncompact does. The set is split
+         * into parts with similar output sizes, uncompacted in parallel.
+         * @param  {String[]} compactedSet H3 addresses to uncompact
+         * @param  {Number}   res          The resolution to uncompact to
+         * @return {Promise}               Promise resolving to the uncompacted H3
+         *                                 addresses, in the same order as uncompact
+         */
+        uncompact(compactedSet, res) {
+            return runJob(() => {
+                if (!compactedSet || !compactedSet.length) {
+                    // Let uncompact validate the resolution
+                    h3core.uncompact(compactedSet, res);
+                    return [];
+                }
+                return splitUncompact(compactedSet, res, maxTasks);
+            });
+        },
+        /**
+         * Stop all workers. Jobs still running are rejected.
+         * @return {Promise} Promise resolving once the workers have stopped
+         */
+        terminate() {
+            terminated = true;
+            const error = {
+                name: 'H3Error',
+                code: H3_ERROR_CODES.workerFailed,
+                message: 'The pool has been terminated'
+            };
+            queue.splice(0).forEach(task => task.reject(toError(error)));
+            const stopping = slots.splice(0).map(slot => {
+                finishTask(slot, {error});
+                return slot.worker.terminate();
+            });
+            return Promise.all(stopping).then(() => undefined);
+        }
+    };
+}
+
+module.exports = {
+    createPool
+};
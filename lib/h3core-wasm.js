@@ -0,0 +1,65 @@
+/*
+ * Copyright 2018 Uber Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Entry point for the WebAssembly build of the core library. The module is compiled
+// asynchronously, so the API is only available once initialize() resolves.
+
+const {setCoreModule, hasCoreModule} = require('./libh3');
+
+let initialization = null;
+
+/**
+ * Compile the WebAssembly build of the core library and bind the API to it
+ * @param  {Object} options Options passed to the Emscripten module factory
+ * @return {Promise}        Promise resolving to the API
+ */
+function loadWasmModule(options) {
+    return new Promise((resolve, reject) => {
+        const createModule = require('../out/libh3-wasm');
+        const wasmModule = createModule(
+            Object.assign({}, options, {
+                onRuntimeInitialized() {
+                    setCoreModule(wasmModule);
+                    // Resolve with the API rather than the module, which is thenable
+                    resolve(require('./h3core'));
+                },
+                onAbort: reject
+            })
+        );
+    });
+}
+
+/**
+ * Initialize the library with the WebAssembly build of the core library. This starts
+ * compiling the module on the first call; later calls return the same promise, and
+ * their options are ignored. If the synchronous entry point has already been loaded
+ * in the same process, the promise resolves to that API, backed by the asm.js build.
+ * @param  {Object} [options] Options for the Emscripten module, e.g. `locateFile` to
+ *                            find the .wasm file when bundling for browsers
+ * @return {Promise}          Promise resolving to the h3core API once it is ready
+ */
+function initialize(options = {}) {
+    if (!initialization) {
+        initialization = hasCoreModule()
+            ? Promise.resolve(require('./h3core'))
+            : loadWasmModule(options);
+    }
+    return initialization;
+}
+
+module.exports = {
+    initialize
+};
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2018 Uber Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Worker script for the pool in h3core-pool.js, run in a Node worker thread, a Node
+// child process or a Web Worker. Each message names a task and its arguments; the worker replies with the
+// result or the error thrown.
+
+const h3core = require('./h3core');
+const {clipPolygonToBox} = require('./polygon');
+
+/**
+ * Get the hexagons in one tile of a polygon, i.e. the hexagons in the polygon with
+ * parents in a set of coarse tile hexagons. The polygon is first clipped to a box
+ * containing the tiles, so that only that part of it is filled.
+ * @param  {Array[]}  loops    Polygon loops of [lat, lng] points
+ * @param  {Number}   res      Resolution of hexagons to return
+ * @param  {String}   mode     Containment mode, one of POLYFILL_MODES
+ * @param  {String[]} tiles    H3 addresses of the tile hexagons
+ * @param  {Object}   [box]    Bounding box containing the tiles and their children,
+ *                             or null to fill the whole polygon
+ * @return {String[]}          H3 addresses of hexagons in the tile
+ */
+function polyfillTile(loops, res, mode, tiles, box) {
+    const clipped = box ? clipPolygonToBox(loops, box) : loops;
+    if (!clipped.length) {
+        return [];
+    }
+    const tileRes = h3core.h3GetResolution(tiles[0]);
+    const tileSet = new Set(tiles);
+    return h3core
+        .polyfill(clipped, res, false, mode)
+        .filter(h3Address => tileSet.has(h3core.h3ToParent(h3Address, tileRes)));
+}
+
+/**
+ * Get the hexagons in several tiles of a polygon
+ * @param  {Array[]} loops  Polygon loops of [lat, lng] points
+ * @param  {Number}  res    Resolution of hexagons to return
+ * @param  {String}  mode   Containment mode, one of POLYFILL_MODES
+ * @param  {Array[]} pieces Tiles to fill, as [tiles, box] pairs
+ * @return {String[]}       H3 addresses of hexagons in the tiles
+ */
+function polyfillTiles(loops, res, mode, pieces) {
+    return [].concat(...pieces.map(([tiles, box]) => polyfillTile(loops, res, mode, tiles, box)));
+}
+
+const TASKS = {
+    polyfill: h3core.polyfill,
+    polyfillTiles,
+    compact: h3core.compact,
+    uncompact: h3core.uncompact
+};
+
+/**
+ * Run a task and reply with its result, or with the error it throws
+ * @param  {Object}   message Task message, with task name, args and strict mode flag
+ * @param  {Function} reply   Function posting a reply to the pool
+ */
+function handleMessage(message, reply) {
+    h3core.setStrictMode(message.strict);
+    try {
+        reply({result: TASKS[message.task].apply(null, message.args)});
+    } catch (error) {
+        reply({error: {name: error.name, code: error.code, message: error.message}});
+    }
+}
+
+/* global self, process */
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+    self.onmessage = event => handleMessage(event.data, reply => self.postMessage(reply));
+} else {
+    let parentPort = null;
+    try {
+        parentPort = require('worker_threads').parentPort;
+    } catch (err) {
+        // Started as a child process on a Node version without worker threads
+    }
+    if (parentPort) {
+        parentPort.on('message', message =>
+            handleMessage(message, reply => parentPort.postMessage(reply))
+        );
+    } else {
+        process.on('message', message => handleMessage(message, reply => process.send(reply)));
+    }
+}
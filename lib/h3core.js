@@ -14,8 +14,56 @@
  * limitations under the License.
  */
 
-const C = require('../out/libh3.1');
+/* global BigInt */
+
+const C = require('./libh3').getCoreModule();
 const BINDINGS = require('./bindings');
+const {
+    CENTER_DIGIT,
+    K_AXES_DIGIT,
+    INVALID_DIGIT,
+    downAp7,
+    downAp7r,
+    upAp7,
+    upAp7r,
+    unitIjkToDigit,
+    neighbor,
+    ijkAdd,
+    ijkSub,
+    ijkNormalize,
+    ijkRotate60cw,
+    ijkRotate60ccw,
+    rotate60cw,
+    rotate60ccw,
+    oppositeDigit,
+    ijkDistance,
+    ijkToIj,
+    ijToIjk,
+    ijkToCube,
+    cubeToIjk,
+    cubeRound
+} = require('./coordijk');
+const {
+    isTransmeridian,
+    unwrapLng,
+    transmeridianLng,
+    loopIntersectsPolygon,
+    loopInsidePolygon,
+    pointInPolygon,
+    geofenceBox,
+    pointInGeofences,
+    segmentIntersectsLoop,
+    pointToSegmentDistance,
+    segmentToLoopDistance,
+    sampleSegment,
+    samplePoints,
+    unwrapLoop,
+    splitPolygonAtAntimeridian,
+    polygonEdges,
+    edgesInBox,
+    crossesOddEdges,
+    edgesTouchLoop
+} = require('./polygon');
 
 const H3 = {};
 
@@ -40,15 +88,131 @@ const SZ_GEOPOLYGON = H3.sizeOfGeoPolygon();
 const SZ_GEOFENCE = H3.sizeOfGeofence();
 const SZ_LINKED_GEOPOLYGON = H3.sizeOfLinkedGeoPolygon();
 
+// Largest single allocation the heap can hold. Larger array sizes usually mean the
+// core library's size calculation overflowed.
+const MAX_ALLOCATION_BYTES = 0x7fffffff;
+
+// Heap memory allocated by the bindings and not yet freed, as sizes in bytes by pointer
+const heapAllocations = new Map();
+let heapBytesAllocated = 0;
+let heapHighWaterMark = 0;
+
 // ----------------------------------------------------------------------------
 // Unit constants
 const UNITS = {
     m: 'm',
     km: 'km',
     m2: 'm2',
-    km2: 'km2'
+    km2: 'km2',
+    rads: 'rads',
+    rads2: 'rads2'
+};
+
+// Authalic radius of the earth, as used by the core library
+const EARTH_RADIUS_KM = 6371.007180918475;
+
+// ----------------------------------------------------------------------------
+// Polyfill containment modes
+const POLYFILL_MODES = {
+    center: 'center',
+    intersecting: 'intersecting',
+    contained: 'contained'
+};
+
+// Default number of hexagons in each batch from polyfillBatches
+const DEFAULT_POLYFILL_BATCH_SIZE = 10000;
+
+// Distance, in degrees, from a polygon edge within which polyfillBatches tests hexagon
+// centers as the core library's polyfill does, as rounding may put them on either side
+const POLYFILL_EDGE_EPSILON = 1e-9;
+
+// ----------------------------------------------------------------------------
+// Antimeridian handling modes
+const ANTIMERIDIAN_MODES = {
+    split: 'split',
+    unwrap: 'unwrap'
+};
+
+// ----------------------------------------------------------------------------
+// Errors
+
+// Codes identifying the cause of an H3Error
+const H3_ERROR_CODES = {
+    invalidCell: 'invalidCell',
+    invalidEdge: 'invalidEdge',
+    invalidIndex: 'invalidIndex',
+    invalidResolution: 'invalidResolution',
+    invalidCoordinates: 'invalidCoordinates',
+    invalidArgument: 'invalidArgument',
+    resolutionMismatch: 'resolutionMismatch',
+    cellsTooFar: 'cellsTooFar',
+    notNeighbors: 'notNeighbors',
+    pentagon: 'pentagon',
+    duplicateInput: 'duplicateInput',
+    allocationTooLarge: 'allocationTooLarge',
+    unsupportedEnvironment: 'unsupportedEnvironment',
+    workerFailed: 'workerFailed'
+};
+
+/**
+ * Error thrown by the library, with a code from H3_ERROR_CODES identifying its cause
+ */
+class H3Error extends Error {
+    /**
+     * @param {String} code    Error code, from H3_ERROR_CODES
+     * @param {String} message Error message
+     */
+    constructor(code, message) {
+        super(message);
+        // Set explicitly, as transpiled subclasses of Error don't get these from super()
+        this.message = message;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, H3Error);
+        }
+        this.name = 'H3Error';
+        this.code = code;
+    }
+}
+
+// ----------------------------------------------------------------------------
+// H3 index format constants
+const H3_INDEX_FORMATS = {
+    string: 'string',
+    splitLong: 'splitLong',
+    bigInt: 'bigInt'
 };
 
+// ----------------------------------------------------------------------------
+// H3 index bit layout
+
+// Index mode constants
+const H3_MODES = {
+    hexagon: 1,
+    unidirectionalEdge: 2
+};
+
+const MAX_RES = 15;
+const NUM_BASE_CELLS = 122;
+const PENTAGON_BASE_CELLS = [4, 14, 24, 38, 49, 58, 63, 72, 83, 97, 107, 117];
+
+// Bit offsets and masks for the fields stored in the upper 32 bits of an index
+const HIGH_BIT_OFFSET = 31;
+const MODE_OFFSET = 27;
+const MODE_MASK = 0xf;
+const EDGE_DIRECTION_OFFSET = 24;
+const EDGE_DIRECTION_MASK = 0x7;
+const RES_OFFSET = 20;
+const RES_MASK = 0xf;
+const BASE_CELL_OFFSET = 13;
+const BASE_CELL_MASK = 0x7f;
+
+// Hexadecimal H3 address string
+const HEX_ADDRESS = /^[0-9a-f]+$/i;
+
+// Each digit takes 3 bits, with the resolution 1 digit in the highest position
+const DIGIT_BITS = 3;
+const DIGIT_MASK = 0x7;
+
 // ----------------------------------------------------------------------------
 // Utilities and helpers
 
@@ -88,23 +252,64 @@ function constrainLng(lng) {
     return lng > 180 ? lng - 360 : lng;
 }
 
+/**
+ * Whether a value is a valid resolution
+ * @param  {mixed} res Value to check
+ * @return {Boolean}   Whether the value is valid
+ */
+function isValidRes(res) {
+    return typeof res === 'number' && res >= 0 && res <= MAX_RES && Math.floor(res) === res;
+}
+
 /**
  * Validate a resolution, throwing an error if invalid
  * @param  {mixed} res Value to validate
- * @throws {Error}     Error if invalid
+ * @throws {H3Error}   Error if invalid
  */
 function validateRes(res) {
-    if (typeof res !== 'number' || res < 0 || res > 15 || Math.floor(res) !== res) {
-        throw new Error(`Invalid resolution: ${res}`);
+    if (!isValidRes(res)) {
+        throw new H3Error(H3_ERROR_CODES.invalidResolution, `Invalid resolution: ${res}`);
     }
 }
 
 /**
- * Convert an H3 address (64-bit hexidecimal string) into a "split long" - a pair of 32-bit ints
- * @param  {String} h3Address H3 address to check
- * @return {Number[]}         A two-element array with 32 lower bits and 32 upper bits
+ * Whether a value is a "split long" - a pair of 32-bit ints
+ * @param  {mixed} value Value to check
+ * @return {Boolean}     Whether the value is a [lower, upper] pair
+ */
+function isSplitLong(value) {
+    return (
+        Array.isArray(value) &&
+        value.length === 2 &&
+        Number.isInteger(value[0]) &&
+        Number.isInteger(value[1])
+    );
+}
+
+/**
+ * Whether a value is a BigInt. The check is written against the constructor so that
+ * environments without BigInt support simply return false.
+ * @param  {mixed} value Value to check
+ * @return {Boolean}     Whether the value is a BigInt
+ */
+function isBigInt(value) {
+    return typeof BigInt === 'function' && typeof value === typeof BigInt(0);
+}
+
+/**
+ * Convert an H3 address into a "split long" - a pair of 32-bit ints. The address may
+ * be given as a 64-bit hexidecimal string, a BigInt, or an existing [lower, upper] pair.
+ * @param  {String|BigInt|Number[]} h3Address H3 address to convert
+ * @return {Number[]}                         A two-element array with 32 lower bits and
+ *                                            32 upper bits
  */
 function h3AddressToSplitLong(h3Address) {
+    if (isSplitLong(h3Address)) {
+        return h3Address;
+    }
+    if (isBigInt(h3Address)) {
+        h3Address = h3Address.toString(BASE_16);
+    }
     if (typeof h3Address !== 'string') {
         return [0, 0];
     }
@@ -113,6 +318,44 @@ function h3AddressToSplitLong(h3Address) {
     return [lower, upper];
 }
 
+/**
+ * Convert an H3 address in any supported format into a 64-bit hexidecimal string
+ * @param  {String|BigInt|Number[]} h3Address H3 address to convert
+ * @return {String}                           H3 address string, or null if the input
+ *                                            is not in a supported format
+ */
+function h3AddressToString(h3Address) {
+    if (typeof h3Address === 'string') {
+        return h3Address;
+    }
+    if (isSplitLong(h3Address)) {
+        return splitLongToH3Address(h3Address[0], h3Address[1]);
+    }
+    if (isBigInt(h3Address)) {
+        return h3Address.toString(BASE_16);
+    }
+    return null;
+}
+
+/**
+ * Convert an H3 address in any supported format into a BigInt
+ * @param  {String|BigInt|Number[]} h3Address H3 address to convert
+ * @return {BigInt}                           H3 address as a BigInt
+ * @throws {H3Error}                          If BigInt is not supported in the environment
+ */
+function h3AddressToBigInt(h3Address) {
+    if (typeof BigInt !== 'function') {
+        throw new H3Error(
+            H3_ERROR_CODES.unsupportedEnvironment,
+            'BigInt is not supported in this environment'
+        );
+    }
+    if (isBigInt(h3Address)) {
+        return h3Address;
+    }
+    return BigInt(`0x${h3AddressToString(h3Address)}`);
+}
+
 /**
  * Convert a 32-bit int to a hexdecimal string
  * @param  {Number} num Integer to convert
@@ -166,7 +409,9 @@ function zeroPad(fullLen, numStr) {
  */
 function polygonArrayToGeofence(polygonArray, geofence, isGeoJson) {
     const numVerts = polygonArray.length;
-    const geoCoordArray = C._calloc(numVerts, SZ_GEOCOORD);
+    const geoCoordArray = callocArray(numVerts, SZ_GEOCOORD);
+    // Store the array first, so it is freed with the struct if a coordinate is invalid
+    C.HEAPU32.set([numVerts, geoCoordArray], geofence / SZ_INT);
     // Support [lng, lat] pairs if GeoJSON is specified
     const latIndex = isGeoJson ? 1 : 0;
     const lngIndex = isGeoJson ? 0 : 1;
@@ -179,7 +424,6 @@ function polygonArrayToGeofence(polygonArray, geofence, isGeoJson) {
             geoCoordArray / SZ_DBL + i
         );
     }
-    C.HEAPU32.set([numVerts, geoCoordArray], geofence / SZ_INT);
     return geofence;
 }
 
@@ -192,22 +436,27 @@ function polygonArrayToGeofence(polygonArray, geofence, isGeoJson) {
 function coordinatesToGeoPolygon(coordinates, isGeoJson) {
     // Any loops beyond the first loop are holes
     const numHoles = coordinates.length - 1;
-    const geoPolygon = C._calloc(SZ_GEOPOLYGON);
+    const geoPolygon = allocate(SZ_GEOPOLYGON);
     // Byte positions within the struct
     const geofenceOffset = 0;
     const numHolesOffset = geofenceOffset + SZ_GEOFENCE;
     const holesOffset = numHolesOffset + SZ_INT;
-    // geofence is first part of struct
-    polygonArrayToGeofence(coordinates[0], geoPolygon + geofenceOffset, isGeoJson);
-    let holes;
-    if (numHoles > 0) {
-        holes = C._calloc(numHoles, SZ_GEOFENCE);
-        for (let i = 0; i < numHoles; i++) {
-            polygonArrayToGeofence(coordinates[i + 1], holes + SZ_GEOFENCE * i, isGeoJson);
+    try {
+        // geofence is first part of struct
+        polygonArrayToGeofence(coordinates[0], geoPolygon + geofenceOffset, isGeoJson);
+        if (numHoles > 0) {
+            const holes = callocArray(numHoles, SZ_GEOFENCE);
+            C.setValue(geoPolygon + numHolesOffset, numHoles, 'i32');
+            C.setValue(geoPolygon + holesOffset, holes, 'i32');
+            for (let i = 0; i < numHoles; i++) {
+                polygonArrayToGeofence(coordinates[i + 1], holes + SZ_GEOFENCE * i, isGeoJson);
+            }
         }
+    } catch (err) {
+        // Free whatever was allocated before the invalid input
+        destroyGeoPolygon(geoPolygon);
+        throw err;
     }
-    C.setValue(geoPolygon + numHolesOffset, numHoles, 'i32');
-    C.setValue(geoPolygon + holesOffset, holes, 'i32');
     return geoPolygon;
 }
 
@@ -221,14 +470,18 @@ function destroyGeoPolygon(geoPolygon) {
     const geofenceOffset = 0;
     const numHolesOffset = geofenceOffset + SZ_GEOFENCE;
     const holesOffset = numHolesOffset + SZ_INT;
+    // Byte position of the vertex array within a Geofence struct
+    const vertsOffset = SZ_INT;
     // Free the outer loop
-    C._free(C.getValue(geoPolygon + geofenceOffset, 'i8*'));
+    deallocate(C.getValue(geoPolygon + geofenceOffset + vertsOffset, 'i8*'));
     // Free the holes, if any
     const numHoles = C.getValue(geoPolygon + numHolesOffset, 'i32');
+    const holes = C.getValue(geoPolygon + holesOffset, 'i8*');
     for (let i = 0; i < numHoles; i++) {
-        C._free(C.getValue(geoPolygon + holesOffset + SZ_GEOFENCE * i, 'i8*'));
+        deallocate(C.getValue(holes + SZ_GEOFENCE * i + vertsOffset, 'i8*'));
     }
-    C._free(geoPolygon);
+    deallocate(holes);
+    deallocate(geoPolygon);
 }
 
 /**
@@ -259,6 +512,188 @@ function readH3Address(invocation) {
     return upper ? splitLongToH3Address(lower, upper) : null;
 }
 
+/**
+ * Get the bit offset of the digit for a given resolution, counting from the lowest bit
+ * of the 64-bit index
+ * @param  {Number} res Resolution of the digit (1-15)
+ * @return {Number}     Bit offset
+ */
+function digitOffset(res) {
+    return (MAX_RES - res) * DIGIT_BITS;
+}
+
+/**
+ * Read the digit for a given resolution from a split long
+ * @param  {Number} lower Lower 32 bits
+ * @param  {Number} upper Upper 32 bits
+ * @param  {Number} res   Resolution of the digit (1-15)
+ * @return {Number}       Digit value (0-7)
+ */
+function readDigit(lower, upper, res) {
+    const offset = digitOffset(res);
+    if (offset >= 32) {
+        return (upper >>> (offset - 32)) & DIGIT_MASK;
+    }
+    if (offset + DIGIT_BITS > 32) {
+        // The resolution 5 digit straddles the lower and upper 32 bits
+        return ((lower >>> offset) | (upper << (32 - offset))) & DIGIT_MASK;
+    }
+    return (lower >>> offset) & DIGIT_MASK;
+}
+
+/**
+ * Whether the edge direction bits are valid for a given index mode. These bits are
+ * reserved and set to 0 for hexagons.
+ * @param  {Number} mode          Index mode
+ * @param  {Number} edgeDirection Edge direction
+ * @return {Boolean}              Whether the edge direction is valid
+ */
+function isValidEdgeDirection(mode, edgeDirection) {
+    if (!Number.isInteger(edgeDirection)) {
+        return false;
+    }
+    return mode === H3_MODES.unidirectionalEdge
+        ? edgeDirection > CENTER_DIGIT && edgeDirection < INVALID_DIGIT
+        : edgeDirection === 0;
+}
+
+/**
+ * Whether a value is a valid base cell number
+ * @param  {mixed} baseCell Value to check
+ * @return {Boolean}        Whether the value is valid
+ */
+function isValidBaseCell(baseCell) {
+    return Number.isInteger(baseCell) && baseCell >= 0 && baseCell < NUM_BASE_CELLS;
+}
+
+/**
+ * Whether an array of index digits is valid for a given resolution
+ * @param  {Number[]} digits     Index digits, starting at resolution 1
+ * @param  {Number}   resolution Index resolution
+ * @return {Boolean}             Whether the digits are valid
+ */
+function isValidDigits(digits, resolution) {
+    if (!Array.isArray(digits) || digits.length < resolution || digits.length > MAX_RES) {
+        return false;
+    }
+    for (let i = 0; i < digits.length; i++) {
+        const digit = digits[i];
+        // Digits for resolutions finer than the index resolution must be unused
+        const isValid =
+            i < resolution
+                ? Number.isInteger(digit) && digit >= CENTER_DIGIT && digit < INVALID_DIGIT
+                : digit === INVALID_DIGIT;
+        if (!isValid) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Find the first field that makes an index with a pentagon base cell invalid
+ * @param  {Object} components Index components, as returned by decodeH3Address
+ * @return {String}            Name of the invalid field, or null if all fields are valid
+ */
+function findInvalidPentagonField(components) {
+    const {mode, edgeDirection, resolution, digits} = components;
+    let leadingDigit = CENTER_DIGIT;
+    for (let i = 0; i < resolution && leadingDigit === CENTER_DIGIT; i++) {
+        leadingDigit = digits[i];
+    }
+    // Pentagons have no K axis subsequence, so the first non-center digit can't be 1
+    if (leadingDigit === K_AXES_DIGIT) {
+        return 'digits';
+    }
+    // Similarly, there is no edge leaving a pentagon in the K axis direction
+    const isEdge = mode === H3_MODES.unidirectionalEdge;
+    if (isEdge && leadingDigit === CENTER_DIGIT && edgeDirection === K_AXES_DIGIT) {
+        return 'edgeDirection';
+    }
+    return null;
+}
+
+/**
+ * Find the first field of a set of index components that would make the index invalid
+ * @param  {Object} components Index components, as returned by decodeH3Address
+ * @return {String}            Name of the invalid field, or null if all fields are valid
+ */
+function findInvalidField(components) {
+    const {highBit, mode, edgeDirection, resolution, baseCell, digits} = components;
+    if (highBit !== 0) {
+        return 'highBit';
+    }
+    if (mode !== H3_MODES.hexagon && mode !== H3_MODES.unidirectionalEdge) {
+        return 'mode';
+    }
+    if (!isValidEdgeDirection(mode, edgeDirection)) {
+        return 'edgeDirection';
+    }
+    if (!isValidRes(resolution)) {
+        return 'resolution';
+    }
+    if (!isValidBaseCell(baseCell)) {
+        return 'baseCell';
+    }
+    if (!isValidDigits(digits, resolution)) {
+        return 'digits';
+    }
+    if (PENTAGON_BASE_CELLS.indexOf(baseCell) >= 0) {
+        return findInvalidPentagonField(components);
+    }
+    return null;
+}
+
+/**
+ * Allocate a zeroed C array, throwing an error if it can't be allocated
+ * @param  {Number} count Number of items in the array
+ * @param  {Number} size  Size of each item, in bytes
+ * @return {Number}       C pointer to the array
+ * @throws {H3Error}      If the array is too large for the heap
+ */
+function callocArray(count, size) {
+    const bytes = count * size;
+    const isValidSize = count >= 0 && bytes <= MAX_ALLOCATION_BYTES;
+    const pointer = isValidSize ? C._calloc(count, size) : 0;
+    if (!pointer) {
+        throw new H3Error(
+            H3_ERROR_CODES.allocationTooLarge,
+            `Failed to allocate ${count} items of ${size} bytes`
+        );
+    }
+    heapAllocations.set(pointer, bytes);
+    heapBytesAllocated += bytes;
+    heapHighWaterMark = Math.max(heapHighWaterMark, heapBytesAllocated);
+    return pointer;
+}
+
+/**
+ * Allocate a zeroed C struct, throwing an error if it can't be allocated
+ * @param  {Number} size Size of the struct, in bytes
+ * @return {Number}      C pointer to the struct
+ * @throws {H3Error}     If the heap is full
+ */
+function allocate(size) {
+    return callocArray(1, size);
+}
+
+/**
+ * Free memory allocated with allocate or callocArray. Null pointers are ignored, so
+ * this can be called for allocations that may not have happened.
+ * @param {Number} pointer C pointer to free
+ */
+function deallocate(pointer) {
+    if (!pointer) {
+        return;
+    }
+    const bytes = heapAllocations.get(pointer);
+    if (bytes !== undefined) {
+        heapAllocations.delete(pointer);
+        heapBytesAllocated -= bytes;
+    }
+    C._free(pointer);
+}
+
 /**
  * Read an array of 64-bit H3 addresses from C and convert to a JS array of
  * H3 address strings
@@ -440,13 +875,19 @@ function h3GetBaseCell(h3Address) {
 /**
  * Returns the resolution of an H3 address
  * @param  {String} h3Address H3 address to get resolution
- * @return {Integer}          The number (0-15) resolution, or -1 if invalid
+ * @return {Integer}          The number (0-15) resolution, -1 if not an address, or
+ *                            NaN for a string that is not hexadecimal
  */
 function h3GetResolution(h3Address) {
-    if (typeof h3Address !== 'string') {
+    const h3String = h3AddressToString(h3Address);
+    if (h3String === null) {
         return -1;
     }
-    return parseInt(h3Address.charAt(1), BASE_16);
+    if (!HEX_ADDRESS.test(h3String)) {
+        return NaN;
+    }
+    const [, upper] = h3AddressToSplitLong(h3Address);
+    return (upper >>> RES_OFFSET) & RES_MASK;
 }
 
 /**
@@ -459,13 +900,15 @@ function h3GetResolution(h3Address) {
 function geoToH3(lat, lng, res) {
     lat = constrainLat(lat);
     lng = constrainLng(lng);
-    const latlng = C._malloc(SZ_GEOCOORD);
-    // Slightly more efficient way to set the memory
-    C.HEAPF64.set([lat, lng].map(degsToRads), latlng / SZ_DBL);
-    // Read value as a split long
-    const h3Address = readH3Address(H3.geoToH3(latlng, res));
-    C._free(latlng);
-    return h3Address;
+    const latlng = allocate(SZ_GEOCOORD);
+    try {
+        // Slightly more efficient way to set the memory
+        C.HEAPF64.set([lat, lng].map(degsToRads), latlng / SZ_DBL);
+        // Read value as a split long
+        return readH3Address(H3.geoToH3(latlng, res));
+    } finally {
+        deallocate(latlng);
+    }
 }
 
 /**
@@ -474,31 +917,264 @@ function geoToH3(lat, lng, res) {
  * @return {Number[]}         Point as a [lat, lng] pair
  */
 function h3ToGeo(h3Address) {
-    const latlng = C._malloc(SZ_GEOCOORD);
     const [lower, upper] = h3AddressToSplitLong(h3Address);
-    H3.h3ToGeo(lower, upper, latlng);
-    const out = readGeoCoord(latlng);
-    C._free(latlng);
-    return out;
+    const latlng = allocate(SZ_GEOCOORD);
+    try {
+        H3.h3ToGeo(lower, upper, latlng);
+        return readGeoCoord(latlng);
+    } finally {
+        deallocate(latlng);
+    }
+}
+
+/**
+ * Get the center of a hexagon in radians, exactly as the core library's polyfill
+ * computes it before testing whether it is in the polygon
+ * @param  {String} h3Address  H3 address
+ * @return {Number[]}          [lat, lng] point, in radians
+ */
+function h3ToGeoRads(h3Address) {
+    const [lower, upper] = h3AddressToSplitLong(h3Address);
+    const latlng = allocate(SZ_GEOCOORD);
+    let lat;
+    let lng;
+    try {
+        H3.h3ToGeo(lower, upper, latlng);
+        lat = C.getValue(latlng, 'double');
+        lng = C.getValue(latlng + SZ_DBL, 'double');
+    } finally {
+        deallocate(latlng);
+    }
+    while (lat > Math.PI / 2) {
+        lat -= Math.PI;
+    }
+    while (lng > Math.PI) {
+        lng -= 2 * Math.PI;
+    }
+    return [lat, lng];
 }
 
 /**
  * Get the vertices of a given hexagon (or pentagon), as an array of [lat, lng]
  * points. For pentagons and hexagons on the edge of an icosahedron face, this
  * function may return up to 10 vertices.
+ *
+ * The vertices of hexagons crossing the antimeridian jump between 180 and -180
+ * degrees longitude. An antimeridian mode can be given to handle these hexagons:
+ * `unwrap` makes the longitudes continuous around the hexagon center, so some may be
+ * outside [-180, 180], and `split` returns the boundary as MultiPolygon-style output,
+ * with one polygon on each side of the antimeridian for crossing hexagons. With
+ * `split`, hexagons containing a pole are closed along the pole.
  * @param  {String} h3Address       H3 address
  * @param {Boolean} formatAsGeoJson Whether to provide GeoJSON output: [lng, lat], closed loops
- * @return {Array[]}                Array of [lat, lng] pairs
+ * @param {String} [antimeridian]   Antimeridian mode, one of ANTIMERIDIAN_MODES
+ * @return {Array[]}                Array of [lat, lng] pairs, or MultiPolygon-style
+ *                                  output for the `split` mode
+ * @throws {H3Error}                If the antimeridian mode is unknown
  */
-function h3ToGeoBoundary(h3Address, formatAsGeoJson) {
-    const geoBoundary = C._malloc(SZ_GEOBOUNDARY);
+function h3ToGeoBoundary(h3Address, formatAsGeoJson, antimeridian) {
+    if (antimeridian !== undefined && !ANTIMERIDIAN_MODES[antimeridian]) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidArgument,
+            `Unknown antimeridian mode: ${antimeridian}`
+        );
+    }
     const [lower, upper] = h3AddressToSplitLong(h3Address);
-    H3.h3ToGeoBoundary(lower, upper, geoBoundary);
-    const out = readGeoBoundary(geoBoundary, formatAsGeoJson, formatAsGeoJson);
-    C._free(geoBoundary);
+    const geoBoundary = allocate(SZ_GEOBOUNDARY);
+    let loop;
+    try {
+        H3.h3ToGeoBoundary(lower, upper, geoBoundary);
+        loop = readGeoBoundary(geoBoundary, false, false);
+    } finally {
+        deallocate(geoBoundary);
+    }
+    if (!antimeridian) {
+        return formatLoop(loop, formatAsGeoJson);
+    }
+    if (antimeridian === ANTIMERIDIAN_MODES.unwrap) {
+        return formatLoop(unwrapLoop(loop, h3ToGeo(h3Address)[1]), formatAsGeoJson);
+    }
+    return splitPolygonAtAntimeridian([loop]).map(polygon =>
+        polygon.map(polygonLoop => formatLoop(polygonLoop, formatAsGeoJson))
+    );
+}
+
+/**
+ * Format a loop of [lat, lng] points for output
+ * @param  {Array[]} loop            Loop of [lat, lng] points
+ * @param  {Boolean} formatAsGeoJson Whether to provide GeoJSON output: [lng, lat], closed loops
+ * @return {Array[]}                 Formatted loop
+ */
+function formatLoop(loop, formatAsGeoJson) {
+    if (!formatAsGeoJson) {
+        return loop;
+    }
+    const out = loop.map(([lat, lng]) => [lng, lat]);
+    out.push(out[0]);
+    return out;
+}
+
+/**
+ * Get the hexagons containing a batch of lat,lon points. The points are read from two
+ * parallel columns, and the output is written as split longs, so no strings are created
+ * and a single struct is allocated on the heap for the whole batch.
+ * @param  {Float64Array} lats Latitudes of points
+ * @param  {Float64Array} lngs Longitudes of points
+ * @param  {Number}       res  Resolution of hexagons to return
+ * @return {Uint32Array}       H3 addresses as interleaved [lower, upper] pairs, with
+ *                             length twice the number of points. Points that can't be
+ *                             indexed produce a [0, 0] pair.
+ * @throws {H3Error}           If the columns differ in length or the resolution is invalid
+ */
+function geoToH3Batch(lats, lngs, res) {
+    validateRes(res);
+    const count = lats.length;
+    if (lngs.length !== count) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidArgument,
+            `Mismatched column lengths: ${count} lats, ${lngs.length} lngs`
+        );
+    }
+    const out = new Uint32Array(count * 2);
+    const latlng = allocate(SZ_GEOCOORD);
+    const latlngOffset = latlng / SZ_DBL;
+    try {
+        for (let i = 0; i < count; i++) {
+            C.HEAPF64[latlngOffset] = degsToRads(constrainLat(lats[i]));
+            C.HEAPF64[latlngOffset + 1] = degsToRads(constrainLng(lngs[i]));
+            // Equivalent to readLong, without allocating a pair for every point
+            out[i * 2] = H3.geoToH3(latlng, res);
+            out[i * 2 + 1] = C.getTempRet0();
+        }
+    } finally {
+        deallocate(latlng);
+    }
     return out;
 }
 
+/**
+ * Get the lat,lon centers of a batch of hexagons. As with geoToH3Batch, a single
+ * struct is allocated on the heap for the whole batch.
+ * @param  {Uint32Array} splitLongs H3 addresses as interleaved [lower, upper] pairs
+ * @return {Float64Array[]}         Centers as a [lats, lngs] pair of columns. Empty
+ *                                  [0, 0] addresses produce NaN coordinates.
+ */
+function h3ToGeoBatch(splitLongs) {
+    const count = Math.floor(splitLongs.length / 2);
+    const lats = new Float64Array(count);
+    const lngs = new Float64Array(count);
+    const latlng = allocate(SZ_GEOCOORD);
+    const latlngOffset = latlng / SZ_DBL;
+    try {
+        for (let i = 0; i < count; i++) {
+            const lower = splitLongs[i * 2];
+            const upper = splitLongs[i * 2 + 1];
+            if (lower === 0 && upper === 0) {
+                lats[i] = NaN;
+                lngs[i] = NaN;
+            } else {
+                H3.h3ToGeo(lower, upper, latlng);
+                lats[i] = constrainLat(radsToDegs(C.HEAPF64[latlngOffset]));
+                lngs[i] = constrainLng(radsToDegs(C.HEAPF64[latlngOffset + 1]));
+            }
+        }
+    } finally {
+        deallocate(latlng);
+    }
+    return [lats, lngs];
+}
+
+// ----------------------------------------------------------------------------
+// Public API functions: Index inspection
+
+/**
+ * Decode an H3 address into the fields of its bit layout. The address does not need
+ * to be valid, which makes this useful for inspecting corrupted addresses.
+ * @param  {String} h3Address H3 address to decode
+ * @return {Object}           Index components: {highBit, mode, edgeDirection, resolution,
+ *                            baseCell, digits}. The digits array contains the digits for
+ *                            all 15 resolutions, with 7 marking an unused digit.
+ */
+function decodeH3Address(h3Address) {
+    const [lower, upper] = h3AddressToSplitLong(h3Address);
+    const digits = [];
+    for (let res = 1; res <= MAX_RES; res++) {
+        digits.push(readDigit(lower, upper, res));
+    }
+    return {
+        highBit: upper >>> HIGH_BIT_OFFSET,
+        mode: (upper >>> MODE_OFFSET) & MODE_MASK,
+        edgeDirection: (upper >>> EDGE_DIRECTION_OFFSET) & EDGE_DIRECTION_MASK,
+        resolution: (upper >>> RES_OFFSET) & RES_MASK,
+        baseCell: (upper >>> BASE_CELL_OFFSET) & BASE_CELL_MASK,
+        digits
+    };
+}
+
+/**
+ * Build an H3 address from its components. Only the resolution and base cell are
+ * required; the mode defaults to a hexagon, and any digits not supplied up to the
+ * resolution default to the center digit (0).
+ * @param  {Object} components Index components, as returned by decodeH3Address
+ * @return {String}            H3 address
+ * @throws {H3Error}           If any component would make the address invalid
+ */
+function encodeH3Address(components) {
+    const {
+        highBit = 0,
+        mode = H3_MODES.hexagon,
+        edgeDirection = 0,
+        resolution,
+        baseCell,
+        digits = []
+    } = components;
+    const paddedDigits = digits.slice();
+    while (paddedDigits.length < resolution) {
+        paddedDigits.push(CENTER_DIGIT);
+    }
+    const normalized = {highBit, mode, edgeDirection, resolution, baseCell, digits: paddedDigits};
+    const invalidField = findInvalidField(normalized);
+    if (invalidField) {
+        throw new H3Error(
+            invalidField === 'resolution'
+                ? H3_ERROR_CODES.invalidResolution
+                : H3_ERROR_CODES.invalidArgument,
+            `Invalid ${invalidField}: ${JSON.stringify(normalized[invalidField])}`
+        );
+    }
+    let upper =
+        (mode << MODE_OFFSET) |
+        (edgeDirection << EDGE_DIRECTION_OFFSET) |
+        (resolution << RES_OFFSET) |
+        (baseCell << BASE_CELL_OFFSET);
+    let lower = 0;
+    for (let res = 1; res <= MAX_RES; res++) {
+        const digit = res <= resolution ? paddedDigits[res - 1] : INVALID_DIGIT;
+        const offset = digitOffset(res);
+        if (offset >= 32) {
+            upper |= digit << (offset - 32);
+        } else {
+            lower |= digit << offset;
+            if (offset + DIGIT_BITS > 32) {
+                // The resolution 5 digit straddles the lower and upper 32 bits
+                upper |= digit >>> (32 - offset);
+            }
+        }
+    }
+    return splitLongToH3Address(lower, upper);
+}
+
+/**
+ * Get the name of the first field that makes an H3 address invalid, in order of its
+ * position in the bit layout. Checks both hexagon and unidirectional edge addresses.
+ * @param  {String} h3Address H3 address to check
+ * @return {String}           Name of the invalid field (one of highBit, mode, edgeDirection,
+ *                            baseCell or digits), or null if the address is valid
+ */
+function getH3AddressInvalidField(h3Address) {
+    return findInvalidField(decodeH3Address(h3Address));
+}
+
 // ----------------------------------------------------------------------------
 // Public API functions: Algorithms
 
@@ -506,9 +1182,20 @@ function h3ToGeoBoundary(h3Address, formatAsGeoJson) {
  * Get the parent of the given hexagon at a particular resolution
  * @param  {String} h3Address H3 address to get parent for
  * @param  {Number} res       Resolution of hexagon to return
- * @return {String}           H3 address of parent, or null for invalid input
+ * @return {String}           H3 address of parent
+ * @throws {H3Error}          If the hexagon is invalid, or the resolution is invalid or
+ *                            finer than the hexagon's
  */
 function h3ToParent(h3Address, res) {
+    validateRes(res);
+    validateHexagon(h3Address);
+    const cellRes = h3GetResolution(h3Address);
+    if (res > cellRes) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidResolution,
+            `Parent resolution ${res} is finer than the hexagon resolution ${cellRes}`
+        );
+    }
     const [lower, upper] = h3AddressToSplitLong(h3Address);
     return readH3Address(H3.h3ToParent(lower, upper, res));
 }
@@ -517,16 +1204,29 @@ function h3ToParent(h3Address, res) {
  * Get the children/descendents of the given hexagon at a particular resolution
  * @param  {String} h3Address H3 address to get children for
  * @param  {Number} res       Resolution of hexagons to return
- * @return {String[]}         H3 addresses of children, or empty array for invalid input
+ * @return {String[]}         H3 addresses of children
+ * @throws {H3Error}          If the hexagon is invalid, or the resolution is invalid or
+ *                            coarser than the hexagon's
  */
 function h3ToChildren(h3Address, res) {
+    validateRes(res);
+    validateHexagon(h3Address);
+    const cellRes = h3GetResolution(h3Address);
+    if (res < cellRes) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidResolution,
+            `Child resolution ${res} is coarser than the hexagon resolution ${cellRes}`
+        );
+    }
     const [lower, upper] = h3AddressToSplitLong(h3Address);
     const maxCount = H3.maxH3ToChildrenSize(lower, upper, res);
-    const hexagons = C._calloc(maxCount, SZ_H3INDEX);
-    H3.h3ToChildren(lower, upper, res, hexagons);
-    const out = readArrayOfHexagons(hexagons, maxCount);
-    C._free(hexagons);
-    return out;
+    const hexagons = callocArray(maxCount, SZ_H3INDEX);
+    try {
+        H3.h3ToChildren(lower, upper, res, hexagons);
+        return readArrayOfHexagons(hexagons, maxCount);
+    } finally {
+        deallocate(hexagons);
+    }
 }
 
 /**
@@ -538,11 +1238,13 @@ function h3ToChildren(h3Address, res) {
 function kRing(h3Address, ringSize) {
     const [lower, upper] = h3AddressToSplitLong(h3Address);
     const maxCount = H3.maxKringSize(ringSize);
-    const hexagons = C._calloc(maxCount, SZ_H3INDEX);
-    H3.kRing(lower, upper, ringSize, hexagons);
-    const out = readArrayOfHexagons(hexagons, maxCount);
-    C._free(hexagons);
-    return out;
+    const hexagons = callocArray(maxCount, SZ_H3INDEX);
+    try {
+        H3.kRing(lower, upper, ringSize, hexagons);
+        return readArrayOfHexagons(hexagons, maxCount);
+    } finally {
+        deallocate(hexagons);
+    }
 }
 
 /**
@@ -556,26 +1258,31 @@ function kRing(h3Address, ringSize) {
 function kRingDistances(h3Address, ringSize) {
     const [lower, upper] = h3AddressToSplitLong(h3Address);
     const maxCount = H3.maxKringSize(ringSize);
-    const kRings = C._calloc(maxCount, SZ_H3INDEX);
-    const distances = C._calloc(maxCount, SZ_INT);
-    H3.kRingDistances(lower, upper, ringSize, kRings, distances);
-    // Create an array of empty arrays to hold the output
-    const out = [];
-    for (let i = 0; i < ringSize + 1; i++) {
-        out.push([]);
-    }
-    // Read the array of hexagons, putting them into the appropriate rings
-    for (let i = 0; i < maxCount * 2; i += 2) {
-        const hexLower = C.getValue(kRings + SZ_INT * i, 'i32');
-        const hexUpper = C.getValue(kRings + SZ_INT * (i + 1), 'i32');
-        const index = C.getValue(distances + SZ_INT * (i / 2), 'i32');
-        if (hexLower !== 0 || hexUpper !== 0) {
-            out[index].push(splitLongToH3Address(hexLower, hexUpper));
+    let kRings = 0;
+    let distances = 0;
+    try {
+        kRings = callocArray(maxCount, SZ_H3INDEX);
+        distances = callocArray(maxCount, SZ_INT);
+        H3.kRingDistances(lower, upper, ringSize, kRings, distances);
+        // Create an array of empty arrays to hold the output
+        const out = [];
+        for (let i = 0; i < ringSize + 1; i++) {
+            out.push([]);
         }
+        // Read the array of hexagons, putting them into the appropriate rings
+        for (let i = 0; i < maxCount * 2; i += 2) {
+            const hexLower = C.getValue(kRings + SZ_INT * i, 'i32');
+            const hexUpper = C.getValue(kRings + SZ_INT * (i + 1), 'i32');
+            const index = C.getValue(distances + SZ_INT * (i / 2), 'i32');
+            if (hexLower !== 0 || hexUpper !== 0) {
+                out[index].push(splitLongToH3Address(hexLower, hexUpper));
+            }
+        }
+        return out;
+    } finally {
+        deallocate(kRings);
+        deallocate(distances);
     }
-    C._free(kRings);
-    C._free(distances);
-    return out;
 }
 
 /**
@@ -586,32 +1293,41 @@ function kRingDistances(h3Address, ringSize) {
  * @return {String[]}         H3 addresses for all hexagons in ring
  */
 function hexRing(h3Address, ringSize) {
+    const [lower, upper] = h3AddressToSplitLong(h3Address);
     const maxCount = ringSize === 0 ? 1 : 6 * ringSize;
-    const hexagons = C._calloc(maxCount, SZ_H3INDEX);
-    const retVal = H3.hexRing(...h3AddressToSplitLong(h3Address), ringSize, hexagons);
-    if (retVal !== 0) {
-        C._free(hexagons);
-        throw new Error('Failed to get hexRing (encountered a pentagon?)');
-    }
-    const out = readArrayOfHexagons(hexagons, maxCount);
-    C._free(hexagons);
-    return out;
+    const hexagons = callocArray(maxCount, SZ_H3INDEX);
+    try {
+        const retVal = H3.hexRing(lower, upper, ringSize, hexagons);
+        if (retVal !== 0) {
+            throw new H3Error(
+                H3_ERROR_CODES.pentagon,
+                'Failed to get hexRing (encountered a pentagon?)'
+            );
+        }
+        return readArrayOfHexagons(hexagons, maxCount);
+    } finally {
+        deallocate(hexagons);
+    }
 }
 
 /**
- * Get all hexagons with centers contained in a given polygon. The polygon
- * is specified with GeoJson semantics as an array of loops. Each loop is
- * an array of [lat, lng] pairs (or [lng, lat] if isGeoJson is specified).
- * The first loop is the perimeter of the polygon, and subsequent loops are
- * expected to be holes.
+ * Get all hexagons in a given polygon. The polygon is specified with GeoJson semantics
+ * as an array of loops. Each loop is an array of [lat, lng] pairs (or [lng, lat] if
+ * isGeoJson is specified). The first loop is the perimeter of the polygon, and
+ * subsequent loops are expected to be holes. By default, hexagons with centers inside
+ * the polygon are returned; the mode can be set to return hexagons that intersect the
+ * polygon at all, or only hexagons entirely contained by it.
  * @param  {Array[]}  coordinates   Array of loops, or a single loop
  * @param  {Number} res             Resolution of hexagons to return
  * @param  {Boolean} isGeoJson      Whether to expect GeoJson-style [lng, lat]
  *                                  pairs instead of [lat, lng]
+ * @param  {String} [mode]          Containment mode, one of POLYFILL_MODES
  * @return {String[]}               H3 addresses for all hexagons in polygon
+ * @throws {H3Error}                If the resolution or mode is invalid
  */
-function polyfill(coordinates, res, isGeoJson) {
+function polyfill(coordinates, res, isGeoJson, mode = POLYFILL_MODES.center) {
     validateRes(res);
+    validatePolyfillMode(mode);
     isGeoJson = Boolean(isGeoJson);
     // Guard against empty input
     if (coordinates.length === 0 || coordinates[0].length === 0) {
@@ -622,116 +1338,1225 @@ function polyfill(coordinates, res, isGeoJson) {
         coordinates = [coordinates];
     }
     const geoPolygon = coordinatesToGeoPolygon(coordinates, isGeoJson);
-    const arrayLen = H3.maxPolyfillSize(geoPolygon, res);
-    const hexagons = C._calloc(arrayLen, SZ_H3INDEX);
-    H3.polyfill(geoPolygon, res, hexagons);
-    const out = readArrayOfHexagons(hexagons, arrayLen);
-    C._free(hexagons);
-    destroyGeoPolygon(geoPolygon);
-    return out;
+    let hexagons = 0;
+    let out;
+    try {
+        const arrayLen = H3.maxPolyfillSize(geoPolygon, res);
+        hexagons = callocArray(arrayLen, SZ_H3INDEX);
+        H3.polyfill(geoPolygon, res, hexagons);
+        out = readArrayOfHexagons(hexagons, arrayLen);
+    } finally {
+        deallocate(hexagons);
+        destroyGeoPolygon(geoPolygon);
+    }
+    switch (mode) {
+        case POLYFILL_MODES.intersecting:
+            return out.concat(
+                findBoundaryHexagons(out, toPlanarLoops(coordinates, isGeoJson), res)
+            );
+        case POLYFILL_MODES.contained:
+            return filterContainedHexagons(out, toPlanarLoops(coordinates, isGeoJson));
+        default:
+            return out;
+    }
 }
 
 /**
- * Get the outlines of a set of H3 hexagons, returned in GeoJSON MultiPolygon
- * format (an array of polygons, each with an array of loops, each an array of
- * coordinates). Coordinates are returned as [lat, lng] pairs unless GeoJSON
- * is requested.
- * @param {String[]} h3Addresses H3 addresses to get outlines for
- * @param {Boolean}  formatAsGeoJson Whether to provide GeoJSON output: [lng, lat], closed loops
- * @return {Array[]}        MultiPolygon-style output.
+ * Validate a polyfill mode, throwing an error if invalid
+ * @param  {mixed} mode Value to validate
+ * @throws {H3Error}    Error if invalid
  */
-function h3SetToMultiPolygon(h3Addresses, formatAsGeoJson) {
-    // Early exit on empty input
-    if (!h3Addresses || !h3Addresses.length) {
-        return [];
+function validatePolyfillMode(mode) {
+    if (!POLYFILL_MODES[mode]) {
+        throw new H3Error(H3_ERROR_CODES.invalidArgument, `Unknown polyfill mode: ${mode}`);
     }
-    // Set up input set
-    const addressCount = h3Addresses.length;
-    const set = C._calloc(addressCount, SZ_H3INDEX);
-    storeArrayOfHexagons(set, h3Addresses);
-    // Allocate memory for output linked polygon
-    const polygon = C._calloc(SZ_LINKED_GEOPOLYGON);
-    // Store a reference to the first polygon - that's the one we need for
-    // memory deallocation
-    const originalPolygon = polygon;
-    H3.h3SetToLinkedGeo(set, addressCount, polygon);
-    const multiPolygon = readMultiPolygon(polygon, formatAsGeoJson);
-    // Clean up
-    H3.destroyLinkedPolygon(originalPolygon);
-    C._free(originalPolygon);
-    C._free(set);
-    return multiPolygon;
 }
 
 /**
- * Compact a set of hexagons of the same resolution into a set of hexagons across
- * multiple levels that represents the same area.
- * @param  {String[]} h3Set H3 addresses to compact
- * @return {$tring[]}       Compacted H3 addresses
- * @throws if there is a malformed input
+ * Convert polygon coordinates to [lat, lng] loops for planar tests, with longitudes
+ * made continuous across the antimeridian if necessary
+ * @param  {Array[]} coordinates Array of loops
+ * @param  {Boolean} isGeoJson   Whether the coordinates are [lng, lat] pairs
+ * @return {Object}              {loops, referenceLng}, where referenceLng is the middle
+ *                               of the longitude range used by the loops
  */
-function compact(h3Set) {
-    if (!h3Set || !h3Set.length) {
-        return [];
+function toPlanarLoops(coordinates, isGeoJson) {
+    const loops = coordinates.map(loop =>
+        loop.map(coord => (isGeoJson ? [coord[1], coord[0]] : [coord[0], coord[1]]))
+    );
+    if (isTransmeridian(loops)) {
+        return {
+            loops: loops.map(loop => loop.map(([lat, lng]) => [lat, transmeridianLng(lng)])),
+            referenceLng: 180
+        };
     }
-    // Set up input set
-    const count = h3Set.length;
-    const set = C._calloc(count, SZ_H3INDEX);
-    storeArrayOfHexagons(set, h3Set);
-    // Allocate memory for compacted hexagons, worst-case is no compaction
-    const compactedSet = C._calloc(count, SZ_H3INDEX);
-    const retVal = H3.compact(set, compactedSet, count);
-    if (retVal !== 0) {
-        C._free(set);
-        C._free(compactedSet);
-        throw new Error('Failed to compact, malformed input data (duplicate hexagons?)');
-    }
-    const out = readArrayOfHexagons(compactedSet, count);
-    C._free(set);
-    C._free(compactedSet);
-    return out;
+    return {loops, referenceLng: 0};
 }
 
 /**
- * Uncompact a compacted set of hexagons to hexagons of the same resolution
- * @param  {String[]} compactedSet H3 addresses to uncompact
- * @param  {Number}   res          The resolution to uncompact to
- * @return {String[]}              The uncompacted H3 addresses
- * @throws if there is malformed input
+ * Convert polygon coordinates to loops in radians with their bounding boxes, as the
+ * core library's polyfill sees them
+ * @param  {Array[]} coordinates Array of loops
+ * @param  {Boolean} isGeoJson   Whether the coordinates are [lng, lat] pairs
+ * @return {Object[]}            Loops, as {loop, box}, where box is the bounding box
+ *                               returned by geofenceBox
  */
-function uncompact(compactedSet, res) {
-    validateRes(res);
-    if (!compactedSet || !compactedSet.length) {
-        return [];
-    }
-    // Set up input set
-    const count = compactedSet.length;
-    const set = C._calloc(count, SZ_H3INDEX);
-    storeArrayOfHexagons(set, compactedSet);
-    // Estimate how many hexagons we need (always overestimates if in error)
-    const maxUncompactedNum = H3.maxUncompactSize(set, count, res);
-    // Allocate memory for uncompacted hexagons
-    const uncompactedSet = C._calloc(maxUncompactedNum, SZ_H3INDEX);
-    const retVal = H3.uncompact(set, count, uncompactedSet, maxUncompactedNum, res);
-    if (retVal !== 0) {
-        C._free(set);
-        C._free(uncompactedSet);
-        throw new Error('Failed to uncompact (bad resolution?)');
-    }
-    const out = readArrayOfHexagons(uncompactedSet, maxUncompactedNum);
-    C._free(set);
-    C._free(uncompactedSet);
-    return out;
+function toGeofences(coordinates, isGeoJson) {
+    const latIndex = isGeoJson ? 1 : 0;
+    const lngIndex = isGeoJson ? 0 : 1;
+    return coordinates.map(coords => {
+        const loop = coords.map(coord => [
+            degsToRads(constrainLat(coord[latIndex])),
+            degsToRads(constrainLng(coord[lngIndex]))
+        ]);
+        return {loop, box: geofenceBox(loop)};
+    });
 }
 
-// ----------------------------------------------------------------------------
-// Public API functions: Unidirectional edges
-
 /**
- * Whether two H3 addresses are neighbors (share an edge)
- * @param  {String} origin      Origin hexagon address
- * @param  {String} destination Destination hexagon address
- * @return {Boolean}           Whether the hexagons share an edge
+ * Get the boundary of a hexagon as a [lat, lng] loop for planar tests, with longitudes
+ * made continuous around the hexagon center
+ * @param  {String} h3Address    H3 address of the hexagon
+ * @param  {Number} referenceLng Longitude the hexagon center should be closest to
+ * @return {Array[]}             Loop of [lat, lng] points
+ */
+function toPlanarHexagon(h3Address, referenceLng) {
+    const centerLng = unwrapLng(h3ToGeo(h3Address)[1], referenceLng);
+    return h3ToGeoBoundary(h3Address).map(([lat, lng]) => [lat, unwrapLng(lng, centerLng)]);
+}
+
+/**
+ * Get the spacing at which to sample points along lines so that every hexagon a line
+ * crosses is a sampled hexagon or a neighbor of one
+ * @param  {Number} res Resolution of hexagons
+ * @return {Number}     Spacing, in degrees
+ */
+function getSampleSpacing(res) {
+    return radsToDegs(edgeLength(res, UNITS.km) / EARTH_RADIUS_KM) / 3;
+}
+
+/**
+ * Get the hexagons without centers in a polygon that nonetheless intersect it.
+ * Candidates are found by sampling points along the polygon's loops, closely enough
+ * that every hexagon crossed by a loop is a sampled hexagon or a neighbor of one.
+ * @param  {String[]} centerHexagons Hexagons with centers in the polygon
+ * @param  {Object}   polygon        Polygon, as returned by toPlanarLoops
+ * @param  {Number}   res            Resolution of hexagons to return
+ * @return {String[]}                H3 addresses of intersecting hexagons
+ */
+function findBoundaryHexagons(centerHexagons, polygon, res) {
+    const spacing = getSampleSpacing(res);
+    const sampled = new Set();
+    polygon.loops.forEach(loop => {
+        samplePoints(loop, spacing).forEach(([lat, lng]) => {
+            sampled.add(geoToH3(lat, lng, res));
+        });
+    });
+    const candidates = uniqueAddresses(Array.from(sampled).map(h3Address => kRing(h3Address, 1)));
+    const seen = new Set(centerHexagons);
+    return candidates.filter(
+        h3Address =>
+            !seen.has(h3Address) &&
+            loopIntersectsPolygon(toPlanarHexagon(h3Address, polygon.referenceLng), polygon.loops)
+    );
+}
+
+/**
+ * Filter hexagons with centers in a polygon to the hexagons entirely inside it
+ * @param  {String[]} centerHexagons Hexagons with centers in the polygon
+ * @param  {Object}   polygon        Polygon, as returned by toPlanarLoops
+ * @return {String[]}                H3 addresses of contained hexagons
+ */
+function filterContainedHexagons(centerHexagons, polygon) {
+    return centerHexagons.filter(h3Address =>
+        loopInsidePolygon(toPlanarHexagon(h3Address, polygon.referenceLng), polygon.loops)
+    );
+}
+
+/**
+ * Get the unique H3 addresses in a list of address arrays, in order of first appearance
+ * @param  {String[][]} addressArrays Arrays of H3 addresses
+ * @return {String[]}                 Unique H3 addresses
+ */
+function uniqueAddresses(addressArrays) {
+    const seen = new Set();
+    const out = [];
+    addressArrays.forEach(h3Addresses => {
+        h3Addresses.forEach(h3Address => {
+            if (!seen.has(h3Address)) {
+                seen.add(h3Address);
+                out.push(h3Address);
+            }
+        });
+    });
+    return out;
+}
+
+/**
+ * Get a bounding box containing a hexagon's neighbors, and so all of its descendants,
+ * for planar tests
+ * @param  {String} h3Address H3 address of the hexagon
+ * @param  {Number} centerLng Longitude of the hexagon center, which the longitudes of
+ *                            the box are made continuous around
+ * @return {Object}           Box with south, west, north and east bounds, or null if
+ *                            the neighbors surround a pole
+ */
+function getNeighborhoodBox(h3Address, centerLng) {
+    const box = {south: 90, west: Infinity, north: -90, east: -Infinity};
+    kRing(h3Address, 1).forEach(adjacent => {
+        h3ToGeoBoundary(adjacent).forEach(([lat, lng]) => {
+            const planarLng = unwrapLng(lng, centerLng);
+            box.south = Math.min(box.south, lat);
+            box.north = Math.max(box.north, lat);
+            box.west = Math.min(box.west, planarLng);
+            box.east = Math.max(box.east, planarLng);
+        });
+    });
+    return box.east - box.west > 180 ? null : box;
+}
+
+/**
+ * Create a tile for polyfillBatches: a hexagon, whether its center is in the polygon,
+ * and the polygon edges that may pass through its descendants. Whether the center is
+ * in the polygon is found from the parent tile, by counting the edges crossed on the
+ * way from the parent's center. Centers on an edge of the polygon are tested as the
+ * core library's polyfill tests them instead, so that they are assigned to the same
+ * side, and are not used to find the side of their children's centers.
+ * @param  {String}  h3Address H3 address of the hexagon
+ * @param  {Object}  parent    Parent tile, or null for a base cell
+ * @param  {Object}  polygon   Polygon, as returned by toPlanarLoops, with its edges
+ *                             and geofences
+ * @param  {Boolean} isLeaf    Whether the hexagon is at the output resolution, in
+ *                             which case the parent's edges are kept
+ * @return {Object}            Tile, as {h3Address, center, inside, onEdge, edges}
+ */
+function createPolyfillTile(h3Address, parent, polygon, isLeaf) {
+    const [lat, lng] = h3ToGeo(h3Address);
+    const center = [lat, unwrapLng(lng, polygon.referenceLng)];
+    const parentEdges = parent ? parent.edges : polygon.edges;
+    const onEdge = parentEdges.some(
+        ([a, b]) => pointToSegmentDistance(center, a, b) < POLYFILL_EDGE_EPSILON
+    );
+    let inside;
+    if (onEdge) {
+        inside = pointInGeofences(h3ToGeoRads(h3Address), polygon.geofences);
+    } else if (parent && !parent.onEdge && Math.abs(center[1] - parent.center[1]) <= 180) {
+        inside = parent.inside !== crossesOddEdges(parent.center, center, parentEdges);
+    } else {
+        inside = pointInPolygon(center, polygon.loops);
+    }
+    const box = isLeaf ? null : getNeighborhoodBox(h3Address, center[1]);
+    return {
+        h3Address,
+        center,
+        inside,
+        onEdge,
+        edges: box ? edgesInBox(parentEdges, box) : parentEdges
+    };
+}
+
+/**
+ * Whether a hexagon at the output resolution of polyfillBatches is in the output
+ * @param  {Object} tile    Tile for the hexagon
+ * @param  {Object} polygon Polygon, as returned by toPlanarLoops
+ * @param  {String} mode    Containment mode, one of POLYFILL_MODES
+ * @return {Boolean}        Whether to include the hexagon
+ */
+function isPolyfillMatch(tile, polygon, mode) {
+    if (mode === POLYFILL_MODES.center) {
+        return tile.inside;
+    }
+    const touchesEdges = edgesTouchLoop(
+        toPlanarHexagon(tile.h3Address, polygon.referenceLng),
+        tile.edges
+    );
+    return mode === POLYFILL_MODES.intersecting
+        ? tile.inside || touchesEdges
+        : tile.inside && !touchesEdges;
+}
+
+/**
+ * Process one tile for polyfillBatches, adding hexagons to the output buffer or
+ * child tiles to the stack. Tiles with no polygon edges nearby have all of their
+ * descendants inside or outside the polygon, as their center is.
+ * @param  {Object} tile  Tile to process
+ * @param  {Object} state Iteration state: {polygon, res, mode, batchSize, stack, buffer}
+ */
+function expandPolyfillTile(tile, state) {
+    const {polygon, res, stack, buffer} = state;
+    const tileRes = h3GetResolution(tile.h3Address);
+    if (!tile.edges.length) {
+        if (!tile.inside) {
+            return;
+        }
+        if (Math.pow(7, res - tileRes) <= state.batchSize) {
+            h3ToChildren(tile.h3Address, res).forEach(h3Address => buffer.push(h3Address));
+        } else {
+            h3ToChildren(tile.h3Address, tileRes + 1).forEach(h3Address =>
+                stack.push({h3Address, inside: true, edges: []})
+            );
+        }
+        return;
+    }
+    const isLeaf = tileRes + 1 === res;
+    h3ToChildren(tile.h3Address, tileRes + 1).forEach(h3Address => {
+        const child = createPolyfillTile(h3Address, tile, polygon, isLeaf);
+        if (!isLeaf) {
+            stack.push(child);
+        } else if (isPolyfillMatch(child, polygon, state.mode)) {
+            buffer.push(h3Address);
+        }
+    });
+}
+
+/**
+ * Create the tiles for the base cells, from which polyfillBatches and polyfillCompact
+ * work down through the hierarchy
+ * @param  {Array[]} coordinates Array of loops, or a single loop
+ * @param  {Number}  res         Resolution of hexagons to return
+ * @param  {Boolean} isGeoJson   Whether the coordinates are [lng, lat] pairs
+ * @return {Object}              {polygon, tiles}, the polygon as returned by
+ *                               toPlanarLoops with its edges and geofences, and the
+ *                               base cell tiles, or no tiles for an empty polygon
+ */
+function createBaseCellTiles(coordinates, res, isGeoJson) {
+    // Guard against empty input
+    if (coordinates.length === 0 || coordinates[0].length === 0) {
+        return {polygon: null, tiles: []};
+    }
+    // Wrap to expected format if a single loop is provided
+    if (typeof coordinates[0][0] === 'number') {
+        coordinates = [coordinates];
+    }
+    const polygon = toPlanarLoops(coordinates, isGeoJson);
+    polygon.edges = polygonEdges(polygon.loops);
+    polygon.geofences = toGeofences(coordinates, isGeoJson);
+    const tiles = [];
+    for (let baseCell = 0; baseCell < NUM_BASE_CELLS; baseCell++) {
+        const h3Address = encodeH3Address({resolution: 0, baseCell});
+        tiles.push(createPolyfillTile(h3Address, null, polygon, res === 0));
+    }
+    return {polygon, tiles};
+}
+
+/**
+ * Get all hexagons in a given polygon in batches, as an iterator. This works down from
+ * the base cells in tiles, so that memory use is bounded by the batch size rather than
+ * the size of the polygon. Tiles away from the edges of the polygon are filled without
+ * further tests. Hexagon centers are tested as in polyfill, including centers on an
+ * edge, so the output is the same as polyfill's, except that it also includes the
+ * hexagons polyfill misses: polyfill only searches a k-ring around the center of the
+ * polygon's bounding box, which doesn't reach every hexagon in some polygons, such as
+ * large polygons and polygons crossing the antimeridian.
+ * @param  {Array[]} coordinates Array of loops, or a single loop
+ * @param  {Number} res          Resolution of hexagons to return
+ * @param  {Boolean} isGeoJson   Whether to expect GeoJson-style [lng, lat]
+ *                               pairs instead of [lat, lng]
+ * @param  {String} [mode]       Containment mode, one of POLYFILL_MODES
+ * @param  {Number} [batchSize]  Maximum number of H3 addresses in each batch
+ * @return {Object}              Iterator of arrays of H3 addresses, which can be used
+ *                               with for...of
+ * @throws {H3Error}             If the resolution, mode or batch size is invalid
+ */
+function polyfillBatches(
+    coordinates,
+    res,
+    isGeoJson,
+    mode = POLYFILL_MODES.center,
+    batchSize = DEFAULT_POLYFILL_BATCH_SIZE
+) {
+    validateRes(res);
+    validatePolyfillMode(mode);
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new H3Error(H3_ERROR_CODES.invalidArgument, `Invalid batch size: ${batchSize}`);
+    }
+    const {polygon, tiles} = createBaseCellTiles(coordinates, res, isGeoJson);
+    const state = {polygon, res, mode, batchSize, stack: [], buffer: []};
+    tiles.reverse().forEach(tile => {
+        if (res > 0) {
+            state.stack.push(tile);
+        } else if (isPolyfillMatch(tile, polygon, mode)) {
+            state.buffer.push(tile.h3Address);
+        }
+    });
+    return {
+        next() {
+            while (state.buffer.length < batchSize && state.stack.length) {
+                expandPolyfillTile(state.stack.pop(), state);
+            }
+            return state.buffer.length
+                ? {value: state.buffer.splice(0, batchSize), done: false}
+                : {value: undefined, done: true};
+        },
+        [Symbol.iterator]() {
+            return this;
+        }
+    };
+}
+
+/**
+ * Get the compacted hexagons for one tile of a polygon, for polyfillCompact. When all
+ * children of a tile are filled, the tile itself is returned in their place.
+ * @param  {Object} tile    Tile to fill
+ * @param  {Object} polygon Polygon, as returned by toPlanarLoops, with its edges
+ * @param  {Number} res     Resolution of hexagons to fill
+ * @param  {String} mode    Containment mode, one of POLYFILL_MODES
+ * @return {String[]}       Compacted H3 addresses
+ */
+function polyfillCompactTile(tile, polygon, res, mode) {
+    const tileRes = h3GetResolution(tile.h3Address);
+    if (!tile.edges.length || tileRes === res) {
+        const isMatch = tileRes === res ? isPolyfillMatch(tile, polygon, mode) : tile.inside;
+        return isMatch ? [tile.h3Address] : [];
+    }
+    const isLeaf = tileRes + 1 === res;
+    const out = [];
+    let isFull = true;
+    h3ToChildren(tile.h3Address, tileRes + 1).forEach(h3Address => {
+        const child = createPolyfillTile(h3Address, tile, polygon, isLeaf);
+        const childOut = polyfillCompactTile(child, polygon, res, mode);
+        isFull = isFull && childOut.length === 1 && childOut[0] === h3Address;
+        childOut.forEach(compacted => out.push(compacted));
+    });
+    return isFull ? [tile.h3Address] : out;
+}
+
+/**
+ * Get all hexagons in a given polygon, compacted. This returns the hexagons of
+ * polyfillBatches, compacted, working down from the base cells and returning coarse
+ * hexagons for the parts of the polygon they fill, so that the uncompacted set is
+ * never created. Like polyfillBatches, this is the same as compact(polyfill(...)),
+ * plus the hexagons polyfill misses in some polygons.
+ * @param  {Array[]} coordinates Array of loops, or a single loop
+ * @param  {Number} res          Resolution of hexagons to fill
+ * @param  {Boolean} isGeoJson   Whether to expect GeoJson-style [lng, lat]
+ *                               pairs instead of [lat, lng]
+ * @param  {String} [mode]       Containment mode, one of POLYFILL_MODES
+ * @return {String[]}            Compacted H3 addresses for all hexagons in polygon,
+ *                               at resolution res and coarser
+ * @throws {H3Error}             If the resolution or mode is invalid
+ */
+function polyfillCompact(coordinates, res, isGeoJson, mode = POLYFILL_MODES.center) {
+    validateRes(res);
+    validatePolyfillMode(mode);
+    const {polygon, tiles} = createBaseCellTiles(coordinates, res, isGeoJson);
+    return [].concat(...tiles.map(tile => polyfillCompactTile(tile, polygon, res, mode)));
+}
+
+/**
+ * Get all hexagons in a GeoJSON geometry that match the containment mode. Each polygon
+ * part is filled separately and the results merged. Geometries without area (points
+ * and lines) are not filled, in any mode.
+ * @param  {Object} geometry GeoJSON geometry object
+ * @param  {Number} res      Resolution of hexagons to return
+ * @param  {String} [mode]   Containment mode, one of POLYFILL_MODES
+ * @return {String[]}        H3 addresses for all hexagons in the geometry
+ * @throws {H3Error}         If the geometry type is not supported
+ */
+function polyfillGeometry(geometry, res, mode) {
+    if (!geometry) {
+        return [];
+    }
+    switch (geometry.type) {
+        case 'Polygon':
+            return polyfill(geometry.coordinates, res, true, mode);
+        case 'MultiPolygon':
+            return uniqueAddresses(
+                geometry.coordinates.map(coordinates => polyfill(coordinates, res, true, mode))
+            );
+        case 'GeometryCollection':
+            return uniqueAddresses(
+                geometry.geometries.map(part => polyfillGeometry(part, res, mode))
+            );
+        case 'Point':
+        case 'MultiPoint':
+        case 'LineString':
+        case 'MultiLineString':
+            return [];
+        default:
+            throw new H3Error(
+                H3_ERROR_CODES.invalidArgument,
+                `Unsupported GeoJSON type: ${geometry.type}`
+            );
+    }
+}
+
+/**
+ * Get all hexagons in a GeoJSON object. Accepts any GeoJSON geometry, a Feature, or a
+ * FeatureCollection. Coordinates are always read in GeoJSON [lng, lat] order. By
+ * default, hexagons with centers inside the polygons are returned; the mode can be set
+ * to return hexagons that intersect the polygons at all, or only hexagons entirely
+ * contained by them.
+ * @param  {Object} geoJson GeoJSON geometry, Feature or FeatureCollection
+ * @param  {Number} res     Resolution of hexagons to return
+ * @param  {String} [mode]  Containment mode, one of POLYFILL_MODES
+ * @return {String[]|Object} H3 addresses for all hexagons in the input. For a
+ *                           FeatureCollection, an object mapping each feature id
+ *                           (or index, for features without an id) to its addresses.
+ * @throws {H3Error}         If the resolution, mode or GeoJSON type is invalid
+ */
+function polyfillGeoJson(geoJson, res, mode = POLYFILL_MODES.center) {
+    validateRes(res);
+    validatePolyfillMode(mode);
+    switch (geoJson && geoJson.type) {
+        case 'FeatureCollection': {
+            const out = {};
+            geoJson.features.forEach((feature, index) => {
+                const key = feature.id === undefined ? index : feature.id;
+                const hexagons = polyfillGeometry(feature.geometry, res, mode);
+                // Features sharing an id are merged
+                out[key] = out[key] ? uniqueAddresses([out[key], hexagons]) : hexagons;
+            });
+            return out;
+        }
+        case 'Feature':
+            return polyfillGeometry(geoJson.geometry, res, mode);
+        default:
+            return polyfillGeometry(geoJson, res, mode);
+    }
+}
+
+/**
+ * Get all hexagons within a number of grid steps of any hexagon in a set
+ * @param  {String[]} h3Addresses H3 addresses of the set
+ * @param  {Number}   ringSize    Number of grid steps
+ * @return {String[]}             H3 addresses of the set and the hexagons around it
+ */
+function kRingOfSet(h3Addresses, ringSize) {
+    const seen = new Set(h3Addresses);
+    let frontier = Array.from(seen);
+    for (let k = 0; k < ringSize; k++) {
+        const next = [];
+        frontier.forEach(h3Address => {
+            kRing(h3Address, 1).forEach(adjacent => {
+                if (!seen.has(adjacent)) {
+                    seen.add(adjacent);
+                    next.push(adjacent);
+                }
+            });
+        });
+        frontier = next;
+    }
+    return Array.from(seen);
+}
+
+/**
+ * Get the segments of a GeoJSON LineString or MultiLineString as pairs of [lat, lng]
+ * points. The end of each segment is shifted in longitude if needed so that segments
+ * crossing the antimeridian take the short way around.
+ * @param  {Object} geoJson GeoJSON LineString or MultiLineString, or a Feature with one
+ * @return {Array[]}        Segments, as [start, end] pairs
+ * @throws {H3Error}        If the GeoJSON type is not supported
+ */
+function getLineSegments(geoJson) {
+    const geometry = geoJson && geoJson.type === 'Feature' ? geoJson.geometry : geoJson;
+    let lines;
+    switch (geometry && geometry.type) {
+        case 'LineString':
+            lines = [geometry.coordinates];
+            break;
+        case 'MultiLineString':
+            lines = geometry.coordinates;
+            break;
+        default:
+            throw new H3Error(
+                H3_ERROR_CODES.invalidArgument,
+                `Unsupported GeoJSON type: ${geometry && geometry.type}`
+            );
+    }
+    const segments = [];
+    lines.forEach(line => {
+        const points = line.map(([lng, lat]) => [lat, lng]);
+        points.forEach((point, i) => {
+            const start = points[i > 0 ? i - 1 : 0];
+            // A line with a single point is treated as a segment of zero length
+            if (i > 0 || points.length === 1) {
+                segments.push([start, [point[0], unwrapLng(point[1], start[1])]]);
+            }
+        });
+    });
+    return segments;
+}
+
+/**
+ * Get all hexagons a segment passes through
+ * @param  {Array[]} segment Segment, as a [start, end] pair of [lat, lng] points
+ * @param  {Number}  res     Resolution of hexagons to return
+ * @return {String[]}        H3 addresses of hexagons crossed by the segment
+ */
+function segmentToH3(segment, res) {
+    const [start, end] = segment;
+    const sampled = sampleSegment(start, end, getSampleSpacing(res))
+        .concat([end])
+        .map(([lat, lng]) => geoToH3(lat, lng, res));
+    return kRingOfSet(sampled, 1).filter(h3Address =>
+        segmentIntersectsLoop(start, end, toPlanarHexagon(h3Address, start[1]))
+    );
+}
+
+/**
+ * Project points to meters on a plane tangent to the earth at an origin point
+ * @param  {Array[]}  points [lat, lng] points
+ * @param  {Number[]} origin [lat, lng] origin of the projection
+ * @return {Array[]}         [y, x] points, in meters from the origin
+ */
+function projectToMeters(points, origin) {
+    const metersPerDegree = degsToRads(EARTH_RADIUS_KM * 1000);
+    const lngScale = Math.cos(degsToRads(origin[0]));
+    return points.map(([lat, lng]) => [
+        (lat - origin[0]) * metersPerDegree,
+        unwrapLng(lng - origin[1], 0) * lngScale * metersPerDegree
+    ]);
+}
+
+// Shortest edge length at each resolution, in meters, computed on first use
+const minEdgeLengths = [];
+
+/**
+ * Get the length of the shortest hexagon edge at a resolution. The projection from
+ * the icosahedron faces shrinks hexagons most around the pentagons, at the face
+ * vertices, so only edges within two steps of a pentagon are measured.
+ * @param  {Number} res Hexagon resolution
+ * @return {Number}     Shortest edge length, in meters
+ */
+function getMinEdgeLength(res) {
+    if (minEdgeLengths[res] === undefined) {
+        let minLength = Infinity;
+        PENTAGON_BASE_CELLS.forEach(baseCell => {
+            kRing(encodeH3Address({resolution: res, baseCell}), 2).forEach(h3Address => {
+                getH3UnidirectionalEdgesFromHexagon(h3Address).forEach(edge => {
+                    minLength = Math.min(minLength, exactEdgeLength(edge, UNITS.m));
+                });
+            });
+        });
+        minEdgeLengths[res] = minLength;
+    }
+    return minEdgeLengths[res];
+}
+
+/**
+ * Get all hexagons within a distance of a segment
+ * @param  {Array[]} segment Segment, as a [start, end] pair of [lat, lng] points
+ * @param  {Number}  res     Resolution of hexagons to return
+ * @param  {Number}  meters  Distance from the segment, in meters
+ * @return {String[]}        H3 addresses of hexagons within the distance
+ */
+function segmentBufferToH3(segment, res, meters) {
+    // Neighboring hexagon centers are more than the shortest edge length apart, so
+    // this many steps is enough to reach the edge of the buffer anywhere on the globe
+    const ringSize = Math.ceil(meters / getMinEdgeLength(res)) + 1;
+    return kRingOfSet(segmentToH3(segment, res), ringSize).filter(h3Address => {
+        const center = h3ToGeo(h3Address);
+        const [start, end] = projectToMeters(segment, center);
+        return (
+            segmentToLoopDistance(
+                start,
+                end,
+                projectToMeters(h3ToGeoBoundary(h3Address), center)
+            ) <= meters
+        );
+    });
+}
+
+/**
+ * Get all hexagons a GeoJSON LineString or MultiLineString passes through. Coordinates
+ * are read in GeoJSON [lng, lat] order, and segments are treated as straight lines in
+ * latitude and longitude, as polygon edges are in polyfill. The path can be buffered
+ * to also include every hexagon within a number of grid steps or within a distance
+ * in meters; distances are measured on a plane tangent to the earth at each hexagon,
+ * so are approximate for very large buffers.
+ * @param  {Object} geoJson                GeoJSON LineString or MultiLineString, or a
+ *                                         Feature with one
+ * @param  {Number} res                    Resolution of hexagons to return
+ * @param  {Object} [options]              Buffer options; set at most one
+ * @param  {Number} [options.bufferSteps]  Number of grid steps to buffer the path by
+ * @param  {Number} [options.bufferMeters] Distance to buffer the path by, in meters
+ * @return {String[]}                      H3 addresses of the hexagons covering the path
+ * @throws {H3Error}                       If the input or options are invalid
+ */
+function lineToH3(geoJson, res, options = {}) {
+    validateRes(res);
+    const {bufferSteps = 0, bufferMeters = 0} = options;
+    if (!Number.isInteger(bufferSteps) || bufferSteps < 0) {
+        throw new H3Error(H3_ERROR_CODES.invalidArgument, `Invalid buffer steps: ${bufferSteps}`);
+    }
+    if (typeof bufferMeters !== 'number' || !(bufferMeters >= 0)) {
+        throw new H3Error(H3_ERROR_CODES.invalidArgument, `Invalid buffer meters: ${bufferMeters}`);
+    }
+    if (bufferSteps && bufferMeters) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidArgument,
+            'Only one of bufferSteps and bufferMeters can be set'
+        );
+    }
+    const segments = getLineSegments(geoJson);
+    if (bufferMeters) {
+        return uniqueAddresses(
+            segments.map(segment => segmentBufferToH3(segment, res, bufferMeters))
+        );
+    }
+    const hexagons = uniqueAddresses(segments.map(segment => segmentToH3(segment, res)));
+    return bufferSteps ? kRingOfSet(hexagons, bufferSteps) : hexagons;
+}
+
+/**
+ * Get the outlines of a set of H3 hexagons, returned in GeoJSON MultiPolygon
+ * format (an array of polygons, each with an array of loops, each an array of
+ * coordinates). Coordinates are returned as [lat, lng] pairs unless GeoJSON
+ * is requested. Outlines crossing the antimeridian are cut into polygons on either
+ * side of it, and outlines enclosing a pole are closed along the pole, so the
+ * output is valid GeoJSON with longitudes in [-180, 180].
+ * @param {String[]} h3Addresses H3 addresses to get outlines for
+ * @param {Boolean}  formatAsGeoJson Whether to provide GeoJSON output: [lng, lat], closed loops
+ * @return {Array[]}        MultiPolygon-style output.
+ */
+function h3SetToMultiPolygon(h3Addresses, formatAsGeoJson) {
+    // Early exit on empty input
+    if (!h3Addresses || !h3Addresses.length) {
+        return [];
+    }
+    // Set up input set
+    const addressCount = h3Addresses.length;
+    let set = 0;
+    let polygon = 0;
+    let multiPolygon;
+    try {
+        set = callocArray(addressCount, SZ_H3INDEX);
+        storeArrayOfHexagons(set, h3Addresses);
+        // Allocate memory for output linked polygon
+        polygon = allocate(SZ_LINKED_GEOPOLYGON);
+        H3.h3SetToLinkedGeo(set, addressCount, polygon);
+        multiPolygon = readMultiPolygon(polygon, false);
+    } finally {
+        // Clean up. The first polygon is the one we need for memory deallocation.
+        if (polygon) {
+            H3.destroyLinkedPolygon(polygon);
+        }
+        deallocate(polygon);
+        deallocate(set);
+    }
+    // Cut any polygons crossing the antimeridian, as required by RFC 7946
+    const out = [];
+    multiPolygon.forEach(loops => {
+        splitPolygonAtAntimeridian(loops).forEach(part => {
+            out.push(part.map(loop => formatLoop(loop, formatAsGeoJson)));
+        });
+    });
+    return out;
+}
+
+/**
+ * Get a GeoJSON FeatureCollection with a feature for each hexagon in a set. Each
+ * feature has the hexagon address as its id, and a Polygon geometry with the
+ * hexagon boundary, or a Point geometry with the hexagon center if requested.
+ * @param  {String[]|Object|Map} hexagons H3 addresses, or an object or Map from H3
+ *                                        address to the properties for that feature
+ * @param  {Object} [options]             Output options
+ * @param  {Boolean} [options.centroids]  Whether to use the hexagon center as a Point
+ *                                        geometry instead of the boundary
+ * @param  {Boolean} [options.resolution] Whether to add the hexagon resolution to the
+ *                                        feature properties as `resolution`
+ * @return {Object}                       GeoJSON FeatureCollection
+ */
+function h3SetToFeatureCollection(hexagons, options = {}) {
+    const entries = [];
+    if (Array.isArray(hexagons)) {
+        hexagons.forEach(h3Address => entries.push([h3Address, null]));
+    } else if (hexagons instanceof Map) {
+        hexagons.forEach((properties, h3Address) => entries.push([h3Address, properties]));
+    } else if (hexagons) {
+        Object.keys(hexagons).forEach(h3Address => entries.push([h3Address, hexagons[h3Address]]));
+    }
+    const features = entries.map(([h3Address, properties]) => {
+        let geometry;
+        if (options.centroids) {
+            const [lat, lng] = h3ToGeo(h3Address);
+            geometry = {type: 'Point', coordinates: [lng, lat]};
+        } else {
+            geometry = {type: 'Polygon', coordinates: [h3ToGeoBoundary(h3Address, true)]};
+        }
+        const featureProperties = Object.assign({}, properties);
+        if (options.resolution) {
+            featureProperties.resolution = h3GetResolution(h3Address);
+        }
+        return {
+            type: 'Feature',
+            id: h3AddressToString(h3Address),
+            properties: featureProperties,
+            geometry
+        };
+    });
+    return {type: 'FeatureCollection', features};
+}
+
+/**
+ * Whether any ancestor of a hexagon is in a set
+ * @param  {String} h3Address H3 address of the hexagon
+ * @param  {Set} cells        Set of H3 addresses
+ * @return {Boolean}          Whether the hexagon is inside a hexagon in the set
+ */
+function hasAncestorIn(h3Address, cells) {
+    for (let res = h3GetResolution(h3Address) - 1; res >= 0; res--) {
+        if (cells.has(h3ToParent(h3Address, res))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Replace each complete set of siblings at a resolution with their parent
+ * @param  {String[]} h3Addresses H3 addresses at the resolution, with no duplicates
+ * @param  {Number}   res         Resolution of the hexagons, greater than 0
+ * @return {Object}               {remaining, parents}, the hexagons without complete
+ *                                siblings and the parents of complete sets
+ */
+function mergeSiblings(h3Addresses, res) {
+    const childCounts = new Map();
+    const parentOf = h3Addresses.map(h3Address => {
+        const parent = h3ToParent(h3Address, res - 1);
+        childCounts.set(parent, (childCounts.get(parent) || 0) + 1);
+        return parent;
+    });
+    const isComplete = parent => childCounts.get(parent) === (h3IsPentagon(parent) ? 6 : 7);
+    return {
+        remaining: h3Addresses.filter((h3Address, i) => !isComplete(parentOf[i])),
+        parents: Array.from(childCounts.keys()).filter(isComplete)
+    };
+}
+
+/**
+ * Compact a set of hexagons that may include duplicates, hexagons of different
+ * resolutions, and hexagons inside others in the set, into the minimal set of
+ * hexagons covering the same area
+ * @param  {String[]} h3Set H3 addresses to compact
+ * @return {String[]}       Compacted H3 addresses, coarsest first
+ * @throws {H3Error}        If any address is not a valid hexagon
+ */
+function compactNormalized(h3Set) {
+    const cells = new Set();
+    h3Set.forEach(h3Address => {
+        validateHexagon(h3Address);
+        const [lower, upper] = h3AddressToSplitLong(h3Address);
+        cells.add(splitLongToH3Address(lower, upper));
+    });
+    const byRes = [];
+    for (let res = 0; res <= MAX_RES; res++) {
+        byRes.push([]);
+    }
+    cells.forEach(h3Address => {
+        if (!hasAncestorIn(h3Address, cells)) {
+            byRes[h3GetResolution(h3Address)].push(h3Address);
+        }
+    });
+    // Parents of complete siblings can't be in the set already, or the siblings
+    // would have been dropped, so they can be merged a resolution at a time
+    for (let res = MAX_RES; res > 0; res--) {
+        const {remaining, parents} = mergeSiblings(byRes[res], res);
+        byRes[res] = remaining;
+        byRes[res - 1] = byRes[res - 1].concat(parents);
+    }
+    return [].concat(...byRes);
+}
+
+/**
+ * Compact a set of hexagons of the same resolution into a set of hexagons across
+ * multiple levels that represents the same area. With the normalize option, the set
+ * may include duplicates and hexagons of any resolutions; hexagons inside others in
+ * the set are dropped, and the rest compacted into the minimal covering set.
+ * @param  {String[]} h3Set               H3 addresses to compact
+ * @param  {Object}   [options]           Compact options
+ * @param  {Boolean}  [options.normalize] Whether to accept duplicates and mixed
+ *                                        resolutions
+ * @return {String[]}                     Compacted H3 addresses
+ * @throws {H3Error}                      If the input has duplicates, without the
+ *                                        normalize option, or invalid hexagons, with it
+ */
+function compact(h3Set, options = {}) {
+    if (!h3Set || !h3Set.length) {
+        return [];
+    }
+    if (options.normalize) {
+        return compactNormalized(h3Set);
+    }
+    // Set up input set
+    const count = h3Set.length;
+    let set = 0;
+    let compactedSet = 0;
+    try {
+        set = callocArray(count, SZ_H3INDEX);
+        storeArrayOfHexagons(set, h3Set);
+        // Allocate memory for compacted hexagons, worst-case is no compaction
+        compactedSet = callocArray(count, SZ_H3INDEX);
+        const retVal = H3.compact(set, compactedSet, count);
+        if (retVal !== 0) {
+            throw new H3Error(
+                H3_ERROR_CODES.duplicateInput,
+                'Failed to compact, malformed input data (duplicate hexagons?)'
+            );
+        }
+        return readArrayOfHexagons(compactedSet, count);
+    } finally {
+        deallocate(set);
+        deallocate(compactedSet);
+    }
+}
+
+/**
+ * Uncompact a compacted set of hexagons to hexagons of the same resolution
+ * @param  {String[]} compactedSet H3 addresses to uncompact
+ * @param  {Number}   res          The resolution to uncompact to
+ * @return {String[]}              The uncompacted H3 addresses
+ * @throws if there is malformed input
+ */
+function uncompact(compactedSet, res) {
+    validateRes(res);
+    if (!compactedSet || !compactedSet.length) {
+        return [];
+    }
+    // Set up input set
+    const count = compactedSet.length;
+    let set = 0;
+    let uncompactedSet = 0;
+    try {
+        set = callocArray(count, SZ_H3INDEX);
+        storeArrayOfHexagons(set, compactedSet);
+        // Estimate how many hexagons we need (always overestimates if in error). The
+        // estimate is negative if any hexagon is finer than the resolution.
+        const maxUncompactedNum = H3.maxUncompactSize(set, count, res);
+        if (maxUncompactedNum >= 0) {
+            // Allocate memory for uncompacted hexagons
+            uncompactedSet = callocArray(maxUncompactedNum, SZ_H3INDEX);
+        }
+        if (
+            !uncompactedSet ||
+            H3.uncompact(set, count, uncompactedSet, maxUncompactedNum, res) !== 0
+        ) {
+            throw new H3Error(
+                H3_ERROR_CODES.invalidResolution,
+                'Failed to uncompact (bad resolution?)'
+            );
+        }
+        return readArrayOfHexagons(uncompactedSet, maxUncompactedNum);
+    } finally {
+        deallocate(set);
+        deallocate(uncompactedSet);
+    }
+}
+
+/**
+ * Normalize a set of hexagons for the set operations
+ * @param  {String[]} h3Set H3 addresses, of any resolutions
+ * @return {Set}            Set of compacted H3 addresses
+ * @throws {H3Error}        If any address is not a valid hexagon
+ */
+function toCompactedCells(h3Set) {
+    return new Set(h3Set && h3Set.length ? compactNormalized(h3Set) : []);
+}
+
+/**
+ * Get every proper ancestor of the hexagons in a set
+ * @param  {Set} cells Set of H3 addresses
+ * @return {Set}       Set of H3 addresses of the ancestors
+ */
+function getAncestors(cells) {
+    const ancestors = new Set();
+    cells.forEach(h3Address => {
+        for (let res = h3GetResolution(h3Address) - 1; res >= 0; res--) {
+            const parent = h3ToParent(h3Address, res);
+            if (ancestors.has(parent)) {
+                break;
+            }
+            ancestors.add(parent);
+        }
+    });
+    return ancestors;
+}
+
+/**
+ * Add the parts of a hexagon not covered by a set of hexagons to an output array,
+ * splitting it into children only where the set has hexagons inside it. The
+ * hexagon must not be in the set, or inside a hexagon in the set.
+ * @param  {String} h3Address H3 address of the hexagon
+ * @param  {Set}    cells     Compacted H3 addresses to subtract
+ * @param  {Set}    ancestors Proper ancestors of the hexagons to subtract
+ * @param  {String[]} out     Output array of H3 addresses
+ */
+function subtractFromHexagon(h3Address, cells, ancestors, out) {
+    if (!ancestors.has(h3Address)) {
+        out.push(h3Address);
+        return;
+    }
+    const children = h3ToChildren(h3Address, h3GetResolution(h3Address) + 1);
+    children.forEach(child => {
+        if (!cells.has(child)) {
+            subtractFromHexagon(child, cells, ancestors, out);
+        }
+    });
+}
+
+/**
+ * Get the area of one compacted set not covered by another
+ * @param  {Set} cellsA Compacted H3 addresses
+ * @param  {Set} cellsB Compacted H3 addresses to subtract
+ * @return {String[]}   H3 addresses of the difference, compacted
+ */
+function subtractCells(cellsA, cellsB) {
+    const ancestors = getAncestors(cellsB);
+    const out = [];
+    cellsA.forEach(h3Address => {
+        if (!cellsB.has(h3Address) && !hasAncestorIn(h3Address, cellsB)) {
+            subtractFromHexagon(h3Address, cellsB, ancestors, out);
+        }
+    });
+    return out;
+}
+
+/**
+ * Get the union of two sets of hexagons. The sets may mix resolutions, and are
+ * compared by area: a hexagon covers all of its descendants.
+ * @param  {String[]} h3SetA H3 addresses of the first set
+ * @param  {String[]} h3SetB H3 addresses of the second set
+ * @return {String[]}        Compacted H3 addresses covering either set
+ * @throws {H3Error}         If any address is not a valid hexagon
+ */
+function h3SetUnion(h3SetA, h3SetB) {
+    return compact([].concat(h3SetA || [], h3SetB || []), {normalize: true});
+}
+
+/**
+ * Get the intersection of two sets of hexagons. The sets may mix resolutions, and
+ * are compared by area: a hexagon covers all of its descendants.
+ * @param  {String[]} h3SetA H3 addresses of the first set
+ * @param  {String[]} h3SetB H3 addresses of the second set
+ * @return {String[]}        Compacted H3 addresses covered by both sets
+ * @throws {H3Error}         If any address is not a valid hexagon
+ */
+function h3SetIntersection(h3SetA, h3SetB) {
+    const cellsA = toCompactedCells(h3SetA);
+    const cellsB = toCompactedCells(h3SetB);
+    // Two hexagons overlap only if one is inside the other, so the intersection
+    // is the finer hexagon of each overlapping pair
+    const isInside = (h3Address, cells) => cells.has(h3Address) || hasAncestorIn(h3Address, cells);
+    const fromA = Array.from(cellsA).filter(h3Address => isInside(h3Address, cellsB));
+    const fromB = Array.from(cellsB).filter(h3Address => hasAncestorIn(h3Address, cellsA));
+    return compact(fromA.concat(fromB), {normalize: true});
+}
+
+/**
+ * Get the difference of two sets of hexagons. The sets may mix resolutions, and
+ * are compared by area: a hexagon covers all of its descendants. Hexagons of the
+ * first set are split into children only where the second set covers part of them.
+ * @param  {String[]} h3SetA H3 addresses of the set to subtract from
+ * @param  {String[]} h3SetB H3 addresses of the set to subtract
+ * @return {String[]}        Compacted H3 addresses covered by the first set but
+ *                           not the second
+ * @throws {H3Error}         If any address is not a valid hexagon
+ */
+function h3SetDifference(h3SetA, h3SetB) {
+    return compact(subtractCells(toCompactedCells(h3SetA), toCompactedCells(h3SetB)), {
+        normalize: true
+    });
+}
+
+/**
+ * Get the symmetric difference of two sets of hexagons. The sets may mix
+ * resolutions, and are compared by area: a hexagon covers all of its descendants.
+ * @param  {String[]} h3SetA H3 addresses of the first set
+ * @param  {String[]} h3SetB H3 addresses of the second set
+ * @return {String[]}        Compacted H3 addresses covered by exactly one set
+ * @throws {H3Error}         If any address is not a valid hexagon
+ */
+function h3SetSymmetricDifference(h3SetA, h3SetB) {
+    const cellsA = toCompactedCells(h3SetA);
+    const cellsB = toCompactedCells(h3SetB);
+    return compact(subtractCells(cellsA, cellsB).concat(subtractCells(cellsB, cellsA)), {
+        normalize: true
+    });
+}
+
+// ----------------------------------------------------------------------------
+// Public API: Cell sets
+
+/**
+ * Get the canonical split long for a hexagon, as unsigned 32-bit ints
+ * @param  {String|BigInt|Number[]} h3Address H3 address in any supported format
+ * @return {Number[]}                         [lower, upper] pair
+ */
+function toCellKey(h3Address) {
+    const [lower, upper] = h3AddressToSplitLong(h3Address);
+    return [lower >>> 0, upper >>> 0];
+}
+
+/**
+ * Set of hexagons that can answer whether it covers a point or a hexagon at any
+ * resolution. Hexagons are stored as split longs, may be given in any index format,
+ * and are returned as strings. A hexagon covers all of its descendants, so the set
+ * may mix resolutions, e.g. to hold a compacted set.
+ */
+class H3CellSet {
+    /**
+     * @param {String[]} [h3Addresses] H3 addresses to add
+     * @throws {H3Error}               If any address is not a valid hexagon
+     */
+    constructor(h3Addresses = []) {
+        // Sets of lower 32 bits, keyed by upper 32 bits
+        this._cells = new Map();
+        // Number of hexagons at each resolution, to skip empty levels in lookups
+        this._resCounts = [];
+        for (let res = 0; res <= MAX_RES; res++) {
+            this._resCounts.push(0);
+        }
+        this._size = 0;
+        h3Addresses.forEach(h3Address => this.add(h3Address));
+    }
+
+    /**
+     * Create a set from a compacted array of hexagons
+     * @param  {String[]}  compactedSet H3 addresses, e.g. from compact
+     * @param  {Number}    [res]        Resolution to uncompact to, if the set should
+     *                                  hold hexagons of a single resolution
+     * @return {H3CellSet}              New set
+     * @throws {H3Error}                If any address is not a valid hexagon, or the
+     *                                  resolution is invalid
+     */
+    static fromCompactedArray(compactedSet, res) {
+        return new H3CellSet(res === undefined ? compactedSet : uncompact(compactedSet, res));
+    }
+
+    /**
+     * Number of hexagons in the set
+     * @type {Number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Add a hexagon to the set
+     * @param  {String}    h3Address H3 address to add
+     * @return {H3CellSet}           This set
+     * @throws {H3Error}             If the address is not a valid hexagon
+     */
+    add(h3Address) {
+        validateHexagon(h3Address);
+        const [lower, upper] = toCellKey(h3Address);
+        let lowers = this._cells.get(upper);
+        if (!lowers) {
+            lowers = new Set();
+            this._cells.set(upper, lowers);
+        }
+        if (!lowers.has(lower)) {
+            lowers.add(lower);
+            this._resCounts[h3GetResolution(h3Address)]++;
+            this._size++;
+        }
+        return this;
+    }
+
+    /**
+     * Remove a hexagon from the set. Only the hexagon itself is removed, not
+     * ancestors or descendants.
+     * @param  {String} h3Address H3 address to remove
+     * @return {Boolean}          Whether the hexagon was in the set
+     */
+    remove(h3Address) {
+        if (!this.has(h3Address)) {
+            return false;
+        }
+        const [lower, upper] = toCellKey(h3Address);
+        const lowers = this._cells.get(upper);
+        lowers.delete(lower);
+        if (!lowers.size) {
+            this._cells.delete(upper);
+        }
+        this._resCounts[h3GetResolution(h3Address)]--;
+        this._size--;
+        return true;
+    }
+
+    /**
+     * Whether a hexagon is itself in the set
+     * @param  {String} h3Address H3 address to check
+     * @return {Boolean}          Whether the hexagon is in the set
+     */
+    has(h3Address) {
+        const [lower, upper] = toCellKey(h3Address);
+        const lowers = this._cells.get(upper);
+        return Boolean(lowers && lowers.has(lower));
+    }
+
+    /**
+     * Whether a hexagon is covered by the set, i.e. it or one of its ancestors is
+     * in the set
+     * @param  {String} h3Address H3 address to check
+     * @return {Boolean}          Whether the hexagon is covered, false for invalid input
+     */
+    containsCell(h3Address) {
+        if (!h3IsValid(h3Address)) {
+            return false;
+        }
+        const cellRes = h3GetResolution(h3Address);
+        for (let res = cellRes; res >= 0; res--) {
+            if (this._resCounts[res]) {
+                const ancestor = res === cellRes ? h3Address : h3ToParent(h3Address, res);
+                if (this.has(ancestor)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether a point is covered by the set, i.e. inside a hexagon in the set at
+     * any resolution
+     * @param  {Number} lat Latitude of point
+     * @param  {Number} lng Longitude of point
+     * @return {Boolean}    Whether the point is covered
+     */
+    containsPoint(lat, lng) {
+        return this._resCounts.some((count, res) => count > 0 && this.has(geoToH3(lat, lng, res)));
+    }
+
+    /**
+     * Get the hexagons in the set
+     * @return {String[]} H3 addresses, in no particular order
+     */
+    toArray() {
+        const h3Addresses = [];
+        this._cells.forEach((lowers, upper) => {
+            lowers.forEach(lower => h3Addresses.push(splitLongToH3Address(lower, upper)));
+        });
+        return h3Addresses;
+    }
+
+    /**
+     * Get the minimal compacted set of hexagons covering the same area as the set.
+     * Hexagons inside others in the set are dropped.
+     * @return {String[]} Compacted H3 addresses
+     */
+    toCompactedArray() {
+        return compact(this.toArray(), {normalize: true});
+    }
+
+    /**
+     * Iterate over the hexagons in the set, as H3 address strings
+     * @return {Iterator} Iterator of H3 addresses
+     */
+    [Symbol.iterator]() {
+        return this.toArray()[Symbol.iterator]();
+    }
+}
+
+// ----------------------------------------------------------------------------
+// Public API functions: Unidirectional edges
+
+/**
+ * Whether two H3 addresses are neighbors (share an edge)
+ * @param  {String} origin      Origin hexagon address
+ * @param  {String} destination Destination hexagon address
+ * @return {Boolean}           Whether the hexagons share an edge
  */
 function h3IndexesAreNeighbors(origin, destination) {
     const [oLower, oUpper] = h3AddressToSplitLong(origin);
@@ -740,92 +2565,672 @@ function h3IndexesAreNeighbors(origin, destination) {
 }
 
 /**
- * Get an H3 index representing a unidirectional edge for a given origin and destination
- * @param  {String} origin      Origin hexagon address
- * @param  {String} destination Destination hexagon address
- * @return {String}             H3 address of the edge, or null if no edge is shared
+ * Get an H3 index representing a unidirectional edge for a given origin and destination
+ * @param  {String} origin      Origin hexagon address
+ * @param  {String} destination Destination hexagon address
+ * @return {String}             H3 address of the edge
+ * @throws {H3Error}            If either hexagon is invalid, or they are not neighbors
+ */
+function getH3UnidirectionalEdge(origin, destination) {
+    validateHexagon(origin);
+    validateHexagon(destination);
+    const [oLower, oUpper] = h3AddressToSplitLong(origin);
+    const [dLower, dUpper] = h3AddressToSplitLong(destination);
+    const edge = readH3Address(H3.getH3UnidirectionalEdge(oLower, oUpper, dLower, dUpper));
+    if (!edge) {
+        const hexagons = [origin, destination].map(h3AddressToString).join(', ');
+        throw new H3Error(H3_ERROR_CODES.notNeighbors, `Hexagons are not neighbors: ${hexagons}`);
+    }
+    return edge;
+}
+
+/**
+ * Get the origin hexagon from an H3 address representing a unidirectional edge
+ * @param  {String} edgeAddress H3 address of the edge
+ * @return {String}             H3 address of the edge origin
+ */
+function getOriginH3IndexFromUnidirectionalEdge(edgeAddress) {
+    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
+    return readH3Address(H3.getOriginH3IndexFromUnidirectionalEdge(lower, upper));
+}
+
+/**
+ * Get the destination hexagon from an H3 address representing a unidirectional edge
+ * @param  {String} edgeAddress H3 address of the edge
+ * @return {String}             H3 address of the edge destination
+ */
+function getDestinationH3IndexFromUnidirectionalEdge(edgeAddress) {
+    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
+    return readH3Address(H3.getDestinationH3IndexFromUnidirectionalEdge(lower, upper));
+}
+
+/**
+ * Whether the input is a valid unidirectional edge
+ * @param  {String} edgeAddress H3 address of the edge
+ * @return {Boolean}            Whether the address is valid
+ */
+function h3UnidirectionalEdgeIsValid(edgeAddress) {
+    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
+    return Boolean(H3.h3UnidirectionalEdgeIsValid(lower, upper));
+}
+
+/**
+ * Get the [origin, destination] pair represented by a unidirectional edge
+ * @param  {String} edgeAddress H3 address of the edge
+ * @return {String[]}           [origin, destination] pair as H3 addresses
+ */
+function getH3IndexesFromUnidirectionalEdge(edgeAddress) {
+    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
+    const count = 2;
+    const hexagons = callocArray(count, SZ_H3INDEX);
+    try {
+        H3.getH3IndexesFromUnidirectionalEdge(lower, upper, hexagons);
+        return readArrayOfHexagons(hexagons, count);
+    } finally {
+        deallocate(hexagons);
+    }
+}
+
+/**
+ * Get all of the unidirectional edges with the given H3 index as the origin (i.e. an edge to
+ * every neighbor)
+ * @param  {String} h3Address   H3 address of the origin hexagon
+ * @return {String[]}           List of unidirectional edges
+ */
+function getH3UnidirectionalEdgesFromHexagon(h3Address) {
+    const [lower, upper] = h3AddressToSplitLong(h3Address);
+    const count = 6;
+    const edges = callocArray(count, SZ_H3INDEX);
+    try {
+        H3.getH3UnidirectionalEdgesFromHexagon(lower, upper, edges);
+        return readArrayOfHexagons(edges, count);
+    } finally {
+        deallocate(edges);
+    }
+}
+
+/**
+ * Get the vertices of a given edge as an array of [lat, lng] points. Note that for edges that
+ * cross the edge of an icosahedron face, this may return 3 coordinates.
+ * @param  {String} edgeAddress     H3 address of the edge
+ * @param {Boolean} formatAsGeoJson Whether to provide GeoJSON output: [lng, lat]
+ * @return {Array[]}                Array of geo coordinate pairs
+ */
+function getH3UnidirectionalEdgeBoundary(edgeAddress, formatAsGeoJson) {
+    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
+    const geoBoundary = allocate(SZ_GEOBOUNDARY);
+    try {
+        H3.getH3UnidirectionalEdgeBoundary(lower, upper, geoBoundary);
+        return readGeoBoundary(geoBoundary, formatAsGeoJson);
+    } finally {
+        deallocate(geoBoundary);
+    }
+}
+
+// ----------------------------------------------------------------------------
+// Local IJK coordinates
+
+// Number of 60 degree clockwise rotations needed to move between the coordinate systems
+// of a pentagon and its neighbors, indexed by leading digit and direction. Rows and
+// columns for the deleted K axis are unused.
+const PENTAGON_ROTATIONS = [
+    [0, -1, 0, 0, 0, 0, 0],
+    [-1, -1, -1, -1, -1, -1, -1],
+    [0, -1, 0, 0, 0, 1, 0],
+    [0, -1, 0, 0, 1, 1, 0],
+    [0, -1, 0, 5, 0, 0, 0],
+    [0, -1, 5, 5, 0, 0, 0],
+    [0, -1, 0, 0, 0, 0, 0]
+];
+
+// Leading digit and direction combinations across a pentagon for which the unfolded
+// coordinates are not known to be correct, and which are treated as failures
+const FAILED_DIRECTIONS = [
+    [false, false, false, false, false, false, false],
+    [false, false, false, false, false, false, false],
+    [false, false, false, false, true, true, false],
+    [false, false, false, false, true, false, true],
+    [false, false, true, true, false, false, false],
+    [false, false, true, false, false, false, true],
+    [false, false, false, true, false, true, false]
+];
+
+// Reasons local coordinates can't be computed
+const LOCAL_IJK_FAILURES = {
+    resolution: 'cells have different resolutions',
+    distance: 'cells are too far apart',
+    pentagon: 'pentagon distortion'
+};
+
+// Error codes for each reason local IJK coordinates can't be computed
+const LOCAL_IJK_FAILURE_CODES = {
+    [LOCAL_IJK_FAILURES.resolution]: H3_ERROR_CODES.resolutionMismatch,
+    [LOCAL_IJK_FAILURES.distance]: H3_ERROR_CODES.cellsTooFar,
+    [LOCAL_IJK_FAILURES.pentagon]: H3_ERROR_CODES.pentagon
+};
+
+// Base cell neighbor tables, derived from the core library on first use
+let baseCellNeighbors = null;
+
+/**
+ * Get the neighbors of each base cell and the number of 60 degree counter-clockwise
+ * rotations between the coordinate systems of each base cell and its neighbors.
+ * The tables are derived from the unidirectional edges of the resolution 0 cells.
+ * @return {Object} {neighbors, rotations} tables, each indexed by base cell and direction.
+ *                  Missing neighbors (the K axis of a pentagon) are -1.
+ */
+function getBaseCellNeighbors() {
+    if (baseCellNeighbors) {
+        return baseCellNeighbors;
+    }
+    const neighbors = [];
+    const rotations = [];
+    for (let baseCell = 0; baseCell < NUM_BASE_CELLS; baseCell++) {
+        const origin = encodeH3Address({resolution: 0, baseCell});
+        neighbors.push([baseCell, -1, -1, -1, -1, -1, -1]);
+        rotations.push([0, 0, 0, 0, 0, 0, 0]);
+        getH3UnidirectionalEdgesFromHexagon(origin).forEach(edge => {
+            const dir = decodeH3Address(edge).edgeDirection;
+            const destination = getDestinationH3IndexFromUnidirectionalEdge(edge);
+            const revDir = decodeH3Address(getH3UnidirectionalEdge(destination, origin))
+                .edgeDirection;
+            const neighborBaseCell = h3GetBaseCell(destination);
+            // The direction back to the origin, rotated into the neighbor's coordinate system.
+            // Pentagons have no K axis, so rotating through it doesn't count.
+            let rotation = 0;
+            for (let digit = oppositeDigit(dir); digit !== revDir; digit = rotate60ccw(digit)) {
+                if (digit !== K_AXES_DIGIT || !isBaseCellPentagon(neighborBaseCell)) {
+                    rotation++;
+                }
+            }
+            neighbors[baseCell][dir] = neighborBaseCell;
+            rotations[baseCell][dir] = rotation;
+        });
+    }
+    baseCellNeighbors = {neighbors, rotations};
+    return baseCellNeighbors;
+}
+
+/**
+ * Whether a resolution is a Class III resolution (rotated versus the icosahedron)
+ * @param  {Number} res Resolution
+ * @return {Boolean}    Whether the resolution is Class III
+ */
+function isResClassIII(res) {
+    return res % 2 === 1;
+}
+
+/**
+ * Whether a base cell is a pentagon
+ * @param  {Number} baseCell Base cell number
+ * @return {Boolean}         Whether the base cell is a pentagon
+ */
+function isBaseCellPentagon(baseCell) {
+    return PENTAGON_BASE_CELLS.indexOf(baseCell) >= 0;
+}
+
+/**
+ * Get the first non-center digit of an index
+ * @param  {Number[]} digits Index digits
+ * @param  {Number}   res    Index resolution
+ * @return {Number}          Leading non-center digit, or the center digit if there is none
+ */
+function leadingNonZeroDigit(digits, res) {
+    for (let r = 0; r < res; r++) {
+        if (digits[r] !== CENTER_DIGIT) {
+            return digits[r];
+        }
+    }
+    return CENTER_DIGIT;
+}
+
+/**
+ * Rotate the digits of an index 60 degrees clockwise
+ * @param  {Number[]} digits Index digits
+ * @param  {Number}   res    Index resolution
+ * @return {Number[]}        Rotated digits
+ */
+function rotateDigits60cw(digits, res) {
+    return digits.map((digit, r) => (r < res ? rotate60cw(digit) : digit));
+}
+
+/**
+ * Rotate the digits of an index on a pentagon base cell 60 degrees clockwise,
+ * skipping over the deleted K axis subsequence
+ * @param  {Number[]} digits Index digits
+ * @param  {Number}   res    Index resolution
+ * @return {Number[]}        Rotated digits
+ */
+function rotatePentDigits60cw(digits, res) {
+    let out = digits.slice();
+    let foundFirstNonZeroDigit = false;
+    for (let r = 0; r < res; r++) {
+        out[r] = rotate60cw(out[r]);
+        if (!foundFirstNonZeroDigit && out[r] !== CENTER_DIGIT) {
+            foundFirstNonZeroDigit = true;
+            if (leadingNonZeroDigit(out, res) === K_AXES_DIGIT) {
+                out = rotateDigits60cw(out, res);
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Get the IJK coordinates of an index in the coordinate system of its base cell
+ * @param  {Number[]} digits Index digits
+ * @param  {Number}   res    Index resolution
+ * @return {Object}          IJK coordinates
+ */
+function digitsToIjk(digits, res) {
+    let ijk = {i: 0, j: 0, k: 0};
+    for (let r = 1; r <= res; r++) {
+        ijk = isResClassIII(r) ? downAp7(ijk) : downAp7r(ijk);
+        ijk = neighbor(ijk, digits[r - 1]);
+    }
+    return ijk;
+}
+
+/**
+ * Rotate IJK coordinates 60 degrees clockwise a number of times
+ * @param  {Object} ijk       IJK coordinates
+ * @param  {Number} rotations Number of rotations
+ * @return {Object}           Rotated coordinates
+ */
+function ijkRotateCw(ijk, rotations) {
+    for (let i = 0; i < rotations; i++) {
+        ijk = ijkRotate60cw(ijk);
+    }
+    return ijk;
+}
+
+/**
+ * Get the IJK offset of the center of a neighboring base cell at a given resolution
+ * @param  {Number} dir Direction of the neighboring base cell
+ * @param  {Number} res Resolution
+ * @return {Object}     IJK offset
+ */
+function baseCellOffset(dir, res) {
+    let offset = neighbor({i: 0, j: 0, k: 0}, dir);
+    for (let r = res - 1; r >= 0; r--) {
+        offset = isResClassIII(r + 1) ? downAp7(offset) : downAp7r(offset);
+    }
+    return offset;
+}
+
+/**
+ * Rotate the digits of an index on a base cell neighboring the origin's base cell into
+ * the orientation of the origin's base cell. This is clockwise because we are undoing
+ * the rotation into the index base cell.
+ * @param  {Object} origin Components of the origin index
+ * @param  {Object} index  Components of the index
+ * @param  {Number} dir    Direction from the origin base cell to the index base cell
+ * @return {Object}        {digits, revDir} with the rotated digits and the rotated
+ *                         direction from the index base cell back to the origin base cell
+ */
+function rotateToOriginBaseCell(origin, index, dir) {
+    const res = origin.resolution;
+    const indexOnPent = isBaseCellPentagon(index.baseCell);
+    const {neighbors, rotations} = getBaseCellNeighbors();
+    let revDir = neighbors[index.baseCell].indexOf(origin.baseCell);
+    let digits = index.digits;
+    for (let i = 0; i < rotations[origin.baseCell][dir]; i++) {
+        digits = indexOnPent ? rotatePentDigits60cw(digits, res) : rotateDigits60cw(digits, res);
+        revDir = rotate60cw(revDir);
+        if (indexOnPent && revDir === K_AXES_DIGIT) {
+            revDir = rotate60cw(revDir);
+        }
+    }
+    return {digits, revDir};
+}
+
+/**
+ * Get the IJK coordinates of an index on a base cell neighboring the origin's base cell,
+ * in the coordinate system of the origin's base cell.
+ * @param  {Object} origin Components of the origin index
+ * @param  {Object} index  Components of the index
+ * @param  {Number} dir    Direction from the origin base cell to the index base cell
+ * @return {Object}        {ijk}, or {failure} with the reason coordinates can't be computed
  */
-function getH3UnidirectionalEdge(origin, destination) {
-    const [oLower, oUpper] = h3AddressToSplitLong(origin);
-    const [dLower, dUpper] = h3AddressToSplitLong(destination);
-    return readH3Address(H3.getH3UnidirectionalEdge(oLower, oUpper, dLower, dUpper));
+function neighboringBaseCellIjk(origin, index, dir) {
+    const res = origin.resolution;
+    const originOnPent = isBaseCellPentagon(origin.baseCell);
+    const indexOnPent = isBaseCellPentagon(index.baseCell);
+    const {digits, revDir} = rotateToOriginBaseCell(origin, index, dir);
+    let pentagonRotations = 0;
+    let directionRotations = 0;
+    if (originOnPent) {
+        const originLeadingDigit = leadingNonZeroDigit(origin.digits, res);
+        if (FAILED_DIRECTIONS[originLeadingDigit][dir]) {
+            return {failure: LOCAL_IJK_FAILURES.pentagon};
+        }
+        directionRotations = PENTAGON_ROTATIONS[originLeadingDigit][dir];
+        pentagonRotations = directionRotations;
+    } else if (indexOnPent) {
+        const indexLeadingDigit = leadingNonZeroDigit(digits, res);
+        if (FAILED_DIRECTIONS[indexLeadingDigit][revDir]) {
+            return {failure: LOCAL_IJK_FAILURES.pentagon};
+        }
+        pentagonRotations = PENTAGON_ROTATIONS[revDir][indexLeadingDigit];
+    }
+    const ijk = ijkRotateCw(digitsToIjk(digits, res), pentagonRotations);
+    const offset = ijkRotateCw(baseCellOffset(dir, res), directionRotations);
+    return {ijk: ijkNormalize(ijkAdd(ijk, offset))};
 }
 
 /**
- * Get the origin hexagon from an H3 address representing a unidirectional edge
- * @param  {String} edgeAddress H3 address of the edge
- * @return {String}             H3 address of the edge origin
+ * Get the IJK coordinates of an index in a coordinate system local to an origin index.
+ * This is a port of h3ToLocalIjk from the H3 core library. Coordinates can only be
+ * computed for indexes of the same resolution, on the same or neighboring base cells,
+ * and not across certain pentagon distortions.
+ * @param  {String} origin    H3 address of the origin
+ * @param  {String} h3Address H3 address to get coordinates for
+ * @return {Object}           {ijk}, or {failure} with the reason coordinates can't be computed
  */
-function getOriginH3IndexFromUnidirectionalEdge(edgeAddress) {
-    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
-    return readH3Address(H3.getOriginH3IndexFromUnidirectionalEdge(lower, upper));
+function h3ToLocalIjk(origin, h3Address) {
+    const originComponents = decodeH3Address(origin);
+    const indexComponents = decodeH3Address(h3Address);
+    const res = originComponents.resolution;
+    if (res !== indexComponents.resolution) {
+        return {failure: LOCAL_IJK_FAILURES.resolution};
+    }
+    const originBaseCell = originComponents.baseCell;
+    const baseCell = indexComponents.baseCell;
+    if (originBaseCell !== baseCell) {
+        const dir = getBaseCellNeighbors().neighbors[originBaseCell].indexOf(baseCell);
+        if (dir < 0) {
+            return {failure: LOCAL_IJK_FAILURES.distance};
+        }
+        return neighboringBaseCellIjk(originComponents, indexComponents, dir);
+    }
+    const ijk = digitsToIjk(indexComponents.digits, res);
+    if (isBaseCellPentagon(baseCell)) {
+        // Both indexes are on the same pentagon base cell
+        const originLeadingDigit = leadingNonZeroDigit(originComponents.digits, res);
+        const indexLeadingDigit = leadingNonZeroDigit(indexComponents.digits, res);
+        if (FAILED_DIRECTIONS[originLeadingDigit][indexLeadingDigit]) {
+            return {failure: LOCAL_IJK_FAILURES.pentagon};
+        }
+        return {
+            ijk: ijkRotateCw(ijk, PENTAGON_ROTATIONS[originLeadingDigit][indexLeadingDigit])
+        };
+    }
+    return {ijk};
 }
 
 /**
- * Get the destination hexagon from an H3 address representing a unidirectional edge
- * @param  {String} edgeAddress H3 address of the edge
- * @return {String}             H3 address of the edge destination
+ * Whether two sets of IJK coordinates are the same
+ * @param  {Object} a IJK coordinates
+ * @param  {Object} b IJK coordinates
+ * @return {Boolean}  Whether the coordinates match
  */
-function getDestinationH3IndexFromUnidirectionalEdge(edgeAddress) {
-    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
-    return readH3Address(H3.getDestinationH3IndexFromUnidirectionalEdge(lower, upper));
+function ijkMatches(a, b) {
+    return a.i === b.i && a.j === b.j && a.k === b.k;
 }
 
 /**
- * Whether the input is a valid unidirectional edge
- * @param  {String} edgeAddress H3 address of the edge
- * @return {Boolean}            Whether the address is valid
+ * Get the digits of the index at the given IJK coordinates, relative to the center of
+ * the base cell the coordinates are in, and the direction to that base cell. Rotations
+ * between base cells are not taken into account.
+ * @param  {Object} ijk IJK coordinates in the coordinate system of a base cell
+ * @param  {Number} res Resolution of the coordinates
+ * @return {Object}     {dir, digits}, or null if the coordinates are not on the base
+ *                      cell or one of its neighbors
  */
-function h3UnidirectionalEdgeIsValid(edgeAddress) {
-    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
-    return Boolean(H3.h3UnidirectionalEdgeIsValid(lower, upper));
+function ijkToDigits(ijk, res) {
+    const digits = [];
+    let coord = ijk;
+    for (let r = res - 1; r >= 0; r--) {
+        const child = coord;
+        let center;
+        if (isResClassIII(r + 1)) {
+            coord = upAp7(coord);
+            center = downAp7(coord);
+        } else {
+            coord = upAp7r(coord);
+            center = downAp7r(coord);
+        }
+        digits[r] = unitIjkToDigit(ijkSub(child, center));
+    }
+    const dir = unitIjkToDigit(coord);
+    return dir === INVALID_DIGIT ? null : {dir, digits};
 }
 
 /**
- * Get the [origin, destination] pair represented by a unidirectional edge
- * @param  {String} edgeAddress H3 address of the edge
- * @return {String[]}           [origin, destination] pair as H3 addresses
+ * Get the index with the given IJK coordinates in the coordinate system of an origin
+ * index, trying the digits in each orientation of the given base cell
+ * @param  {String}   origin   H3 address of the origin
+ * @param  {Object}   ijk      IJK coordinates
+ * @param  {Number}   baseCell Base cell to try
+ * @param  {Number[]} digits   Digits in the orientation of the origin base cell
+ * @return {String}            H3 address, or null if no orientation matches
  */
-function getH3IndexesFromUnidirectionalEdge(edgeAddress) {
-    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
-    const count = 2;
-    const hexagons = C._calloc(count, SZ_H3INDEX);
-    H3.getH3IndexesFromUnidirectionalEdge(lower, upper, hexagons);
-    const out = readArrayOfHexagons(hexagons, count);
-    C._free(hexagons);
-    return out;
+function findIndexOnBaseCell(origin, ijk, baseCell, digits) {
+    const resolution = digits.length;
+    let rotated = digits;
+    for (let rotation = 0; rotation < 6; rotation++) {
+        const components = {
+            highBit: 0,
+            mode: H3_MODES.hexagon,
+            edgeDirection: 0,
+            resolution,
+            baseCell,
+            digits: rotated
+        };
+        if (!findInvalidField(components)) {
+            const h3Address = encodeH3Address(components);
+            const local = h3ToLocalIjk(origin, h3Address);
+            if (local.ijk && ijkMatches(local.ijk, ijk)) {
+                return h3Address;
+            }
+        }
+        rotated = rotated.map(rotate60ccw);
+    }
+    return null;
 }
 
 /**
- * Get all of the unidirectional edges with the given H3 index as the origin (i.e. an edge to
- * every neighbor)
- * @param  {String} h3Address   H3 address of the origin hexagon
- * @return {String[]}           List of unidirectional edges
+ * Get the index with the given IJK coordinates in the coordinate system of an origin
+ * index. This is the inverse of h3ToLocalIjk: the coordinates are broken down into
+ * digits on the origin's base cell or one of its neighbors, and the orientation for
+ * which h3ToLocalIjk gives back the same coordinates is found. Coordinates around a
+ * pentagon origin may be rotated, so each rotation of the coordinates is tried in turn.
+ * @param  {String} origin H3 address of the origin
+ * @param  {Object} ijk    IJK coordinates
+ * @return {Object}        {h3Address}, or {failure} with the reason there is no index
  */
-function getH3UnidirectionalEdgesFromHexagon(h3Address) {
-    const [lower, upper] = h3AddressToSplitLong(h3Address);
-    const count = 6;
-    const edges = C._calloc(count, SZ_H3INDEX);
-    H3.getH3UnidirectionalEdgesFromHexagon(lower, upper, edges);
-    const out = readArrayOfHexagons(edges, count);
-    C._free(edges);
-    return out;
+function localIjkToH3(origin, ijk) {
+    const {resolution, baseCell} = decodeH3Address(origin);
+    const {neighbors} = getBaseCellNeighbors();
+    const target = ijkNormalize(ijk);
+    let coord = target;
+    let failure = LOCAL_IJK_FAILURES.distance;
+    for (let rotation = 0; rotation < 6; rotation++) {
+        const local = ijkToDigits(coord, resolution);
+        const neighborBaseCell = local ? neighbors[baseCell][local.dir] : -1;
+        if (neighborBaseCell >= 0) {
+            const h3Address = findIndexOnBaseCell(
+                origin,
+                target,
+                neighborBaseCell,
+                local.digits
+            );
+            if (h3Address) {
+                return {h3Address};
+            }
+            failure = LOCAL_IJK_FAILURES.pentagon;
+        }
+        coord = ijkRotate60ccw(coord);
+    }
+    return {failure};
 }
 
 /**
- * Get the vertices of a given edge as an array of [lat, lng] points. Note that for edges that
- * cross the edge of an icosahedron face, this may return 3 coordinates.
- * @param  {String} edgeAddress     H3 address of the edge
- * @param {Boolean} formatAsGeoJson Whether to provide GeoJSON output: [lng, lat]
- * @return {Array[]}                Array of geo coordinate pairs
+ * Validate that the input is a valid hexagon address, throwing an error if invalid
+ * @param  {mixed} h3Address Value to validate
+ * @throws {H3Error}         Error if invalid
  */
-function getH3UnidirectionalEdgeBoundary(edgeAddress, formatAsGeoJson) {
-    const geoBoundary = C._malloc(SZ_GEOBOUNDARY);
-    const [lower, upper] = h3AddressToSplitLong(edgeAddress);
-    H3.getH3UnidirectionalEdgeBoundary(lower, upper, geoBoundary);
-    const out = readGeoBoundary(geoBoundary, formatAsGeoJson);
-    C._free(geoBoundary);
-    return out;
+function validateHexagon(h3Address) {
+    if (!h3IsValid(h3Address)) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidCell,
+            `Invalid hexagon address: ${h3AddressToString(h3Address)}`
+        );
+    }
+}
+
+/**
+ * Create the error for an operation that failed because local IJK coordinates couldn't
+ * be computed
+ * @param  {String} operation Name of the operation, for the error message
+ * @param  {String} failure   Reason, from LOCAL_IJK_FAILURES
+ * @return {H3Error}          Error to throw
+ */
+function localIjkError(operation, failure) {
+    return new H3Error(LOCAL_IJK_FAILURE_CODES[failure], `Failed to get ${operation} (${failure})`);
+}
+
+/**
+ * Get the local IJK coordinates of an origin and destination hexagon, in the coordinate
+ * system of the origin, throwing an error if they can't be computed
+ * @param  {String} origin      Origin hexagon address
+ * @param  {String} destination Destination hexagon address
+ * @param  {String} operation   Name of the operation, for error messages
+ * @return {Object[]}           IJK coordinates of the origin and destination
+ * @throws {H3Error}            If either hexagon is invalid or the coordinates can't
+ *                              be computed
+ */
+function getLocalIjkPair(origin, destination, operation) {
+    validateHexagon(origin);
+    validateHexagon(destination);
+    const originIjk = h3ToLocalIjk(origin, origin);
+    const destinationIjk = originIjk.failure ? originIjk : h3ToLocalIjk(origin, destination);
+    if (destinationIjk.failure) {
+        throw localIjkError(operation, destinationIjk.failure);
+    }
+    return [originIjk.ijk, destinationIjk.ijk];
+}
+
+/**
+ * Find the neighbor of a hexagon with the given IJK coordinates in the coordinate
+ * system of an origin hexagon
+ * @param  {String} origin    H3 address of the origin
+ * @param  {String} h3Address H3 address of the hexagon to search around
+ * @param  {Object} ijk       IJK coordinates to find
+ * @return {String}           H3 address of the neighbor, or null if there is none
+ */
+function findNeighborAtLocalIjk(origin, h3Address, ijk) {
+    const neighbors = kRing(h3Address, 1);
+    for (let i = 0; i < neighbors.length; i++) {
+        const local = h3ToLocalIjk(origin, neighbors[i]);
+        if (local.ijk && local.ijk.i === ijk.i && local.ijk.j === ijk.j && local.ijk.k === ijk.k) {
+            return neighbors[i];
+        }
+    }
+    return null;
+}
+
+// ----------------------------------------------------------------------------
+// Public API functions: Grid traversal
+
+/**
+ * Get the grid distance between two hexagons, i.e. the number of steps needed to travel
+ * from one to the other. The hexagons must have the same resolution. The distance can't
+ * be computed for hexagons that are too far apart (on base cells that are not
+ * neighbors) or across some pentagon distortions; in these cases an error is thrown.
+ * @param  {String} origin      Origin hexagon address
+ * @param  {String} destination Destination hexagon address
+ * @return {Number}             Number of steps between the hexagons
+ * @throws {H3Error}            If the distance can't be computed
+ */
+function h3Distance(origin, destination) {
+    const [originIjk, destinationIjk] = getLocalIjkPair(origin, destination, 'distance');
+    return ijkDistance(originIjk, destinationIjk);
+}
+
+/**
+ * Get the line of hexagons between two hexagons, i.e. the hexagons along the straight
+ * line between their centers in the local grid of the origin. Each hexagon in the line
+ * is a neighbor of the hexagons before and after it, and the line includes the origin
+ * and destination. The line can't be computed for hexagons that are too far apart or
+ * across some pentagon distortions; in these cases an error is thrown.
+ * @param  {String} origin      Origin hexagon address
+ * @param  {String} destination Destination hexagon address
+ * @return {String[]}           H3 addresses of the hexagons in the line, in order
+ * @throws {H3Error}            If the line can't be computed
+ */
+function h3Line(origin, destination) {
+    const [originIjk, destinationIjk] = getLocalIjkPair(origin, destination, 'line');
+    const distance = ijkDistance(originIjk, destinationIjk);
+    const start = ijkToCube(originIjk);
+    const end = ijkToCube(destinationIjk);
+    const steps = {i: 0, j: 0, k: 0};
+    if (distance) {
+        ['i', 'j', 'k'].forEach(axis => {
+            steps[axis] = (end[axis] - start[axis]) / distance;
+        });
+    }
+    const line = [h3AddressToString(origin)];
+    for (let n = 1; n <= distance; n++) {
+        const ijk = cubeToIjk(
+            cubeRound(start.i + steps.i * n, start.j + steps.j * n, start.k + steps.k * n)
+        );
+        const next = findNeighborAtLocalIjk(origin, line[n - 1], ijk);
+        if (!next) {
+            throw localIjkError('line', LOCAL_IJK_FAILURES.pentagon);
+        }
+        line.push(next);
+    }
+    return line;
+}
+
+/**
+ * Get the IJ coordinates of a hexagon in a local coordinate system anchored at an origin
+ * hexagon. Coordinates are only comparable when they have the same origin, and the
+ * origin itself is not necessarily at (0, 0). Neighboring hexagons differ by one step
+ * on the I axis, the J axis, or both in the same direction. Coordinates can't be
+ * computed for hexagons of a different resolution, hexagons that are too far from the
+ * origin (on base cells that are not neighbors), or across some pentagon distortions;
+ * in these cases an error is thrown.
+ * @param  {String} origin    Origin hexagon address
+ * @param  {String} h3Address Hexagon address to get coordinates for
+ * @return {Object}           Local IJ coordinates, as an {i, j} object
+ * @throws {H3Error}          If the coordinates can't be computed
+ */
+function h3ToLocalIj(origin, h3Address) {
+    validateHexagon(origin);
+    validateHexagon(h3Address);
+    const local = h3ToLocalIjk(origin, h3Address);
+    if (local.failure) {
+        throw localIjkError('local IJ coordinates', local.failure);
+    }
+    return ijkToIj(local.ijk);
+}
+
+/**
+ * Get the hexagon at the given IJ coordinates in the local coordinate system anchored
+ * at an origin hexagon. This is the inverse of h3ToLocalIj, and only returns hexagons
+ * for which h3ToLocalIj gives back the same coordinates; where there is no such
+ * hexagon, because the coordinates are too far from the origin or fall in a pentagon
+ * distortion, an error is thrown.
+ * @param  {String} origin Origin hexagon address
+ * @param  {Object} coords Local IJ coordinates, as an {i, j} object
+ * @return {String}        H3 address of the hexagon at the coordinates
+ * @throws {H3Error}       If there is no hexagon at the coordinates
+ */
+function localIjToH3(origin, coords) {
+    validateHexagon(origin);
+    if (!coords || !Number.isInteger(coords.i) || !Number.isInteger(coords.j)) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidCoordinates,
+            `Invalid local IJ coordinates: ${JSON.stringify(coords)}`
+        );
+    }
+    const local = localIjkToH3(origin, ijToIjk(coords));
+    if (local.failure) {
+        throw localIjkError('hexagon at local IJ coordinates', local.failure);
+    }
+    return local.h3Address;
 }
 
 // ----------------------------------------------------------------------------
@@ -845,7 +3250,7 @@ function hexArea(res, unit) {
         case UNITS.km2:
             return H3.hexAreaKm2(res);
         default:
-            throw new Error(`Unknown unit: ${unit}`);
+            throw new H3Error(H3_ERROR_CODES.invalidArgument, `Unknown unit: ${unit}`);
     }
 }
 
@@ -863,7 +3268,7 @@ function edgeLength(res, unit) {
         case UNITS.km:
             return H3.edgeLengthKm(res);
         default:
-            throw new Error(`Unknown unit: ${unit}`);
+            throw new H3Error(H3_ERROR_CODES.invalidArgument, `Unknown unit: ${unit}`);
     }
 }
 
@@ -886,6 +3291,526 @@ function numHexagons(res) {
     return upper * Math.pow(2, 32) + lower;
 }
 
+/**
+ * Get the great circle distance between two points, using the haversine formula
+ * @param  {Number[]} a [lat, lng] point, in degrees
+ * @param  {Number[]} b [lat, lng] point, in degrees
+ * @return {Number}     Distance in radians
+ */
+function greatCircleDistanceRads(a, b) {
+    const [latA, lngA] = a.map(degsToRads);
+    const [latB, lngB] = b.map(degsToRads);
+    const sinLat = Math.sin((latB - latA) / 2);
+    const sinLng = Math.sin((lngB - lngA) / 2);
+    const h = sinLat * sinLat + Math.cos(latA) * Math.cos(latB) * sinLng * sinLng;
+    return 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Get the area of a spherical triangle on the unit sphere, using l'Huilier's theorem
+ * @param  {Number[]} a [lat, lng] vertex, in degrees
+ * @param  {Number[]} b [lat, lng] vertex, in degrees
+ * @param  {Number[]} c [lat, lng] vertex, in degrees
+ * @return {Number}     Area in square radians
+ */
+function triangleAreaRads2(a, b, c) {
+    const ab = greatCircleDistanceRads(a, b);
+    const bc = greatCircleDistanceRads(b, c);
+    const ca = greatCircleDistanceRads(c, a);
+    const s = (ab + bc + ca) / 2;
+    const product =
+        Math.tan(s / 2) * Math.tan((s - ab) / 2) * Math.tan((s - bc) / 2) * Math.tan((s - ca) / 2);
+    // Degenerate triangles, e.g. from repeated boundary vertices, can give a product
+    // just below zero due to rounding
+    return 4 * Math.atan(Math.sqrt(Math.max(0, product)));
+}
+
+/**
+ * Convert an area in square radians to the given unit
+ * @param  {Number} rads2 Area in square radians
+ * @param  {String} unit  Area unit (UNITS.m2, UNITS.km2 or UNITS.rads2)
+ * @return {Number}       Area in the given unit
+ */
+function convertArea(rads2, unit) {
+    switch (unit) {
+        case UNITS.m2:
+            return rads2 * EARTH_RADIUS_KM * EARTH_RADIUS_KM * 1e6;
+        case UNITS.km2:
+            return rads2 * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+        case UNITS.rads2:
+            return rads2;
+        default:
+            throw new H3Error(H3_ERROR_CODES.invalidArgument, `Unknown unit: ${unit}`);
+    }
+}
+
+/**
+ * Get the area of a hexagon in square radians, as the sum of the spherical triangles
+ * between its center and each pair of consecutive vertices
+ * @param  {String} h3Address H3 address of the hexagon
+ * @return {Number}           Area in square radians
+ */
+function cellAreaRads2(h3Address) {
+    validateHexagon(h3Address);
+    const center = h3ToGeo(h3Address);
+    const boundary = h3ToGeoBoundary(h3Address);
+    return boundary.reduce(
+        (area, vertex, i) =>
+            area + triangleAreaRads2(center, vertex, boundary[(i + 1) % boundary.length]),
+        0
+    );
+}
+
+/**
+ * Exact area of a specific hexagon (or pentagon), computed on the sphere from its
+ * boundary. Areas vary within a resolution, so this can differ noticeably from the
+ * average given by hexArea, particularly near pentagons.
+ * @param  {String} h3Address H3 address of the hexagon
+ * @param  {String} unit      Area unit (UNITS.m2, UNITS.km2 or UNITS.rads2)
+ * @return {Number}           Area
+ * @throws {H3Error}          If the address or unit is invalid
+ */
+function cellArea(h3Address, unit) {
+    return convertArea(cellAreaRads2(h3Address), unit);
+}
+
+/**
+ * Exact total area of a set of hexagons, as the sum of their cellArea values. The
+ * hexagons are assumed not to overlap, i.e. not to include a hexagon and its parent.
+ * @param  {String[]} h3Addresses H3 addresses of the hexagons
+ * @param  {String}   unit        Area unit (UNITS.m2, UNITS.km2 or UNITS.rads2)
+ * @return {Number}               Total area
+ * @throws {H3Error}              If any address or the unit is invalid
+ */
+function h3SetArea(h3Addresses, unit) {
+    // Check the unit before doing any work
+    convertArea(0, unit);
+    return convertArea(
+        h3Addresses.reduce((area, h3Address) => area + cellAreaRads2(h3Address), 0),
+        unit
+    );
+}
+
+/**
+ * Convert a distance in radians to the given unit
+ * @param  {Number} rads Distance in radians
+ * @param  {String} unit Distance unit (UNITS.m, UNITS.km or UNITS.rads)
+ * @return {Number}      Distance in the given unit
+ */
+function convertLength(rads, unit) {
+    switch (unit) {
+        case UNITS.m:
+            return rads * EARTH_RADIUS_KM * 1000;
+        case UNITS.km:
+            return rads * EARTH_RADIUS_KM;
+        case UNITS.rads:
+            return rads;
+        default:
+            throw new H3Error(H3_ERROR_CODES.invalidArgument, `Unknown unit: ${unit}`);
+    }
+}
+
+/**
+ * Exact great circle length of a specific unidirectional edge. Edges crossing an
+ * icosahedron face have three vertices; their length is the sum of both segments.
+ * Note that the core library returns the wrong vertices for many edges at resolutions
+ * 13 and finer (see https://github.com/uber/h3/issues/75), and so the wrong length.
+ * @param  {String} edgeAddress H3 address of the edge
+ * @param  {String} unit        Distance unit (UNITS.m, UNITS.km or UNITS.rads)
+ * @return {Number}             Edge length
+ * @throws {H3Error}            If the edge or unit is invalid
+ */
+function exactEdgeLength(edgeAddress, unit) {
+    if (!h3UnidirectionalEdgeIsValid(edgeAddress)) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidEdge,
+            `Invalid unidirectional edge: ${h3AddressToString(edgeAddress)}`
+        );
+    }
+    const vertices = getH3UnidirectionalEdgeBoundary(edgeAddress);
+    if (vertices.length < 3) {
+        return convertLength(greatCircleDistanceRads(vertices[0], vertices[1]), unit);
+    }
+    // The core library may return the vertex on the face edge last rather than in
+    // the middle, so take the two shorter sides of the triangle as the segments
+    const sides = [
+        greatCircleDistanceRads(vertices[0], vertices[1]),
+        greatCircleDistanceRads(vertices[1], vertices[2]),
+        greatCircleDistanceRads(vertices[2], vertices[0])
+    ];
+    return convertLength(sides[0] + sides[1] + sides[2] - Math.max(...sides), unit);
+}
+
+/**
+ * Read a point as a [lat, lng] pair, throwing an error if it is not a pair of numbers
+ * @param  {Number[]} point     Point as a [lat, lng] pair, or [lng, lat] for GeoJSON
+ * @param  {Boolean}  isGeoJson Whether the point is in [lng, lat] order per GeoJSON spec
+ * @return {Number[]}           Point as a [lat, lng] pair
+ * @throws {H3Error}            If the point is invalid
+ */
+function readPoint(point, isGeoJson) {
+    if (!Array.isArray(point) || point.length < 2 || !point.every(Number.isFinite)) {
+        throw new H3Error(
+            H3_ERROR_CODES.invalidCoordinates,
+            `Invalid point: ${JSON.stringify(point)}`
+        );
+    }
+    return isGeoJson ? [point[1], point[0]] : [point[0], point[1]];
+}
+
+/**
+ * Great circle distance between two points, using the haversine formula
+ * @param  {Number[]} a         Point as a [lat, lng] pair, or [lng, lat] for GeoJSON
+ * @param  {Number[]} b         Point as a [lat, lng] pair, or [lng, lat] for GeoJSON
+ * @param  {String}   unit      Distance unit (UNITS.m, UNITS.km or UNITS.rads)
+ * @param  {Boolean}  isGeoJson Whether points are in [lng, lat] order per GeoJSON spec
+ * @return {Number}             Distance
+ * @throws {H3Error}            If either point or the unit is invalid
+ */
+function pointDistance(a, b, unit, isGeoJson) {
+    return convertLength(
+        greatCircleDistanceRads(readPoint(a, isGeoJson), readPoint(b, isGeoJson)),
+        unit
+    );
+}
+
+/**
+ * Great circle distance between the centers of two hexagons, which may be at
+ * different resolutions
+ * @param  {String} origin      Origin hexagon address
+ * @param  {String} destination Destination hexagon address
+ * @param  {String} unit        Distance unit (UNITS.m, UNITS.km or UNITS.rads)
+ * @return {Number}             Distance
+ * @throws {H3Error}            If either hexagon or the unit is invalid
+ */
+function h3CenterDistance(origin, destination, unit) {
+    validateHexagon(origin);
+    validateHexagon(destination);
+    return convertLength(greatCircleDistanceRads(h3ToGeo(origin), h3ToGeo(destination)), unit);
+}
+
+// ----------------------------------------------------------------------------
+// Public API functions: Index formats
+
+// Shapes of H3 address output, used to convert the output of API functions
+const OUTPUT_ADDRESS = 'address';
+const OUTPUT_ARRAY = 'array';
+const OUTPUT_NESTED_ARRAY = 'nestedArray';
+// An array of addresses, or an object with arrays of addresses as values
+const OUTPUT_KEYED_ARRAYS = 'keyedArrays';
+// An iterator of arrays of addresses
+const OUTPUT_BATCHES = 'batches';
+
+// API functions returning H3 addresses, mapped to the shape of their output
+const INDEX_OUTPUT_SHAPES = {
+    geoToH3: OUTPUT_ADDRESS,
+    h3ToParent: OUTPUT_ADDRESS,
+    h3ToChildren: OUTPUT_ARRAY,
+    kRing: OUTPUT_ARRAY,
+    kRingDistances: OUTPUT_NESTED_ARRAY,
+    hexRing: OUTPUT_ARRAY,
+    h3Line: OUTPUT_ARRAY,
+    localIjToH3: OUTPUT_ADDRESS,
+    polyfill: OUTPUT_ARRAY,
+    polyfillBatches: OUTPUT_BATCHES,
+    polyfillCompact: OUTPUT_ARRAY,
+    polyfillGeoJson: OUTPUT_KEYED_ARRAYS,
+    lineToH3: OUTPUT_ARRAY,
+    compact: OUTPUT_ARRAY,
+    uncompact: OUTPUT_ARRAY,
+    h3SetUnion: OUTPUT_ARRAY,
+    h3SetIntersection: OUTPUT_ARRAY,
+    h3SetDifference: OUTPUT_ARRAY,
+    h3SetSymmetricDifference: OUTPUT_ARRAY,
+    getH3UnidirectionalEdge: OUTPUT_ADDRESS,
+    getOriginH3IndexFromUnidirectionalEdge: OUTPUT_ADDRESS,
+    getDestinationH3IndexFromUnidirectionalEdge: OUTPUT_ADDRESS,
+    getH3IndexesFromUnidirectionalEdge: OUTPUT_ARRAY,
+    getH3UnidirectionalEdgesFromHexagon: OUTPUT_ARRAY,
+    encodeH3Address: OUTPUT_ADDRESS
+};
+
+/**
+ * Convert an H3 address into the given format
+ * @param  {String|BigInt|Number[]} h3Address H3 address in any supported format
+ * @param  {String} format                    Output format, one of H3_INDEX_FORMATS
+ * @return {String|BigInt|Number[]}           H3 address in the requested format, or null
+ *                                            for null input
+ * @throws {H3Error}                          If the format is unknown or unsupported
+ */
+function formatH3Address(h3Address, format) {
+    if (h3Address === null) {
+        return null;
+    }
+    switch (format) {
+        case H3_INDEX_FORMATS.string:
+            return h3AddressToString(h3Address);
+        case H3_INDEX_FORMATS.splitLong:
+            return h3AddressToSplitLong(h3Address);
+        case H3_INDEX_FORMATS.bigInt:
+            return h3AddressToBigInt(h3Address);
+        default:
+            throw new H3Error(H3_ERROR_CODES.invalidArgument, `Unknown index format: ${format}`);
+    }
+}
+
+/**
+ * Convert the output of an API function into the given index format
+ * @param  {mixed} output  Output of an API function
+ * @param  {String} shape  Shape of the output
+ * @param  {String} format Output format, one of H3_INDEX_FORMATS
+ * @return {mixed}         Converted output
+ */
+function formatOutput(output, shape, format) {
+    switch (shape) {
+        case OUTPUT_ADDRESS:
+            return formatH3Address(output, format);
+        case OUTPUT_ARRAY:
+            return output.map(h3Address => formatH3Address(h3Address, format));
+        case OUTPUT_KEYED_ARRAYS:
+            if (Array.isArray(output)) {
+                return formatOutput(output, OUTPUT_ARRAY, format);
+            }
+            return Object.keys(output).reduce((keyed, key) => {
+                keyed[key] = formatOutput(output[key], OUTPUT_ARRAY, format);
+                return keyed;
+            }, {});
+        case OUTPUT_BATCHES:
+            return {
+                next() {
+                    const result = output.next();
+                    return result.done
+                        ? result
+                        : {value: formatOutput(result.value, OUTPUT_ARRAY, format), done: false};
+                },
+                [Symbol.iterator]() {
+                    return this;
+                }
+            };
+        default:
+            return output.map(h3Addresses => formatOutput(h3Addresses, OUTPUT_ARRAY, format));
+    }
+}
+
+/**
+ * Get a version of the public API that returns H3 addresses in the given format. All
+ * API functions accept addresses as strings, BigInts or [lower, upper] split longs;
+ * this controls only the format of the output. String output is the default.
+ * @param  {String} format Output format, one of H3_INDEX_FORMATS
+ * @return {Object}        Object with the same functions as the public API
+ * @throws {H3Error}       If the format is unknown or unsupported
+ */
+function withIndexFormat(format) {
+    // Validate the format up front, rather than on first output
+    formatH3Address([0, 0], format);
+    const api = {};
+    Object.keys(module.exports).forEach(name => {
+        const fn = module.exports[name];
+        const shape = INDEX_OUTPUT_SHAPES[name];
+        api[name] =
+            shape && format !== H3_INDEX_FORMATS.string
+                ? (...args) => formatOutput(fn(...args), shape, format)
+                : fn;
+    });
+    return api;
+}
+
+// ----------------------------------------------------------------------------
+// Public API functions: Heap diagnostics
+
+/**
+ * Get statistics on the heap shared with the core library, for monitoring memory use
+ * in long-running processes. Allocations made inside the core library, e.g. for the
+ * outlines built by h3SetToMultiPolygon, are not counted in bytesAllocated.
+ * @return {Object} Heap statistics, with properties:
+ *                  - heapSize: Total size of the heap, in bytes. The heap grows as
+ *                    needed, and never shrinks.
+ *                  - bytesAllocated: Bytes currently allocated by this library. This
+ *                    should return to its previous value after every call.
+ *                  - allocationCount: Number of allocations currently held by this library
+ *                  - highWaterMark: Most bytes allocated by this library at any one time
+ */
+function getHeapStats() {
+    return {
+        heapSize: C.HEAPU8.length,
+        bytesAllocated: heapBytesAllocated,
+        allocationCount: heapAllocations.size,
+        highWaterMark: heapHighWaterMark
+    };
+}
+
+// ----------------------------------------------------------------------------
+// Public API functions: Strict validation
+
+// Kinds of address arguments checked in strict mode
+const ARG_CELL = 'cell';
+const ARG_CELLS = 'cells';
+const ARG_KEYED_CELLS = 'keyedCells';
+const ARG_EDGE = 'edge';
+const ARG_INDEX = 'index';
+
+// API functions taking H3 addresses, mapped to the names and kinds of their address
+// arguments, in order. Validity checks and format conversions other than
+// h3AddressToSplitLong are left out, as they are expected to see invalid input.
+const STRICT_ARGUMENTS = {
+    h3IsPentagon: [['h3Address', ARG_CELL]],
+    h3IsResClassIII: [['h3Address', ARG_CELL]],
+    h3GetBaseCell: [['h3Address', ARG_INDEX]],
+    h3GetResolution: [['h3Address', ARG_INDEX]],
+    h3ToGeo: [['h3Address', ARG_CELL]],
+    h3ToGeoBoundary: [['h3Address', ARG_CELL]],
+    h3ToParent: [['h3Address', ARG_CELL]],
+    h3ToChildren: [['h3Address', ARG_CELL]],
+    kRing: [['h3Address', ARG_CELL]],
+    kRingDistances: [['h3Address', ARG_CELL]],
+    hexRing: [['h3Address', ARG_CELL]],
+    h3SetToMultiPolygon: [['h3Addresses', ARG_CELLS]],
+    h3SetToFeatureCollection: [['hexagons', ARG_KEYED_CELLS]],
+    compact: [['h3Set', ARG_CELLS]],
+    uncompact: [['compactedSet', ARG_CELLS]],
+    h3SetUnion: [['h3SetA', ARG_CELLS], ['h3SetB', ARG_CELLS]],
+    h3SetIntersection: [['h3SetA', ARG_CELLS], ['h3SetB', ARG_CELLS]],
+    h3SetDifference: [['h3SetA', ARG_CELLS], ['h3SetB', ARG_CELLS]],
+    h3SetSymmetricDifference: [['h3SetA', ARG_CELLS], ['h3SetB', ARG_CELLS]],
+    h3IndexesAreNeighbors: [['origin', ARG_CELL], ['destination', ARG_CELL]],
+    getH3UnidirectionalEdge: [['origin', ARG_CELL], ['destination', ARG_CELL]],
+    getOriginH3IndexFromUnidirectionalEdge: [['edgeAddress', ARG_EDGE]],
+    getDestinationH3IndexFromUnidirectionalEdge: [['edgeAddress', ARG_EDGE]],
+    getH3IndexesFromUnidirectionalEdge: [['edgeAddress', ARG_EDGE]],
+    getH3UnidirectionalEdgesFromHexagon: [['h3Address', ARG_CELL]],
+    getH3UnidirectionalEdgeBoundary: [['edgeAddress', ARG_EDGE]],
+    h3Distance: [['origin', ARG_CELL], ['destination', ARG_CELL]],
+    h3Line: [['origin', ARG_CELL], ['destination', ARG_CELL]],
+    h3ToLocalIj: [['origin', ARG_CELL], ['h3Address', ARG_CELL]],
+    localIjToH3: [['origin', ARG_CELL]],
+    cellArea: [['h3Address', ARG_CELL]],
+    h3SetArea: [['h3Addresses', ARG_CELLS]],
+    exactEdgeLength: [['edgeAddress', ARG_EDGE]],
+    h3CenterDistance: [['origin', ARG_CELL], ['destination', ARG_CELL]],
+    h3AddressToSplitLong: [['h3Address', ARG_INDEX]]
+};
+
+// H3CellSet methods taking H3 addresses, as for STRICT_ARGUMENTS. The constructor adds
+// its addresses through add, so they are checked there.
+const STRICT_CELL_SET_ARGUMENTS = {
+    add: [['h3Address', ARG_CELL]],
+    remove: [['h3Address', ARG_CELL]],
+    has: [['h3Address', ARG_CELL]],
+    containsCell: [['h3Address', ARG_CELL]]
+};
+const STRICT_CELL_SET_STATIC_ARGUMENTS = {
+    fromCompactedArray: [['compactedSet', ARG_CELLS]]
+};
+
+// Validity checks and error codes for each kind of address argument
+const STRICT_VALIDATORS = {
+    [ARG_CELL]: h3IsValid,
+    [ARG_EDGE]: h3UnidirectionalEdgeIsValid,
+    [ARG_INDEX]: value => h3IsValid(value) || h3UnidirectionalEdgeIsValid(value)
+};
+const STRICT_ERROR_CODES = {
+    [ARG_CELL]: H3_ERROR_CODES.invalidCell,
+    [ARG_EDGE]: H3_ERROR_CODES.invalidEdge,
+    [ARG_INDEX]: H3_ERROR_CODES.invalidIndex
+};
+
+let strictMode = false;
+
+/**
+ * Turn strict mode on or off. In strict mode, every API function and H3CellSet method
+ * taking H3 addresses throws an H3Error naming the argument and value if given an
+ * invalid cell or edge, instead of returning null, empty or meaningless output. Strict
+ * mode is off by default.
+ * @param {Boolean} enabled Whether to turn strict mode on
+ */
+function setStrictMode(enabled) {
+    strictMode = Boolean(enabled);
+}
+
+/**
+ * Whether strict mode is on
+ * @return {Boolean} Whether strict mode is on
+ */
+function isStrictMode() {
+    return strictMode;
+}
+
+/**
+ * Describe a value for an error message
+ * @param  {mixed} value Value to describe
+ * @return {String}      Description of the value
+ */
+function describeValue(value) {
+    if (isBigInt(value)) {
+        return `${value}n`;
+    }
+    return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Validate an address argument, throwing an error if invalid
+ * @param  {String} fnName  Name of the API function, for the error message
+ * @param  {String} argName Name of the argument, for the error message
+ * @param  {String} kind    Kind of address expected (ARG_CELL, ARG_EDGE or ARG_INDEX)
+ * @param  {mixed}  value   Value to validate
+ * @throws {H3Error}        If the value is not a valid address of the given kind
+ */
+function validateStrictArgument(fnName, argName, kind, value) {
+    if (!STRICT_VALIDATORS[kind](value)) {
+        throw new H3Error(
+            STRICT_ERROR_CODES[kind],
+            `${fnName}: invalid ${kind} for argument ${argName}: ${describeValue(value)}`
+        );
+    }
+}
+
+/**
+ * Get the addresses in a set argument, with the names to use for them in error messages.
+ * Sets are arrays, or for ARG_KEYED_CELLS also objects or Maps keyed by address.
+ * @param  {String}  fnName  Name of the API function, for the error message
+ * @param  {String}  argName Name of the argument, for the error message
+ * @param  {String}  kind    Kind of set expected (ARG_CELLS or ARG_KEYED_CELLS)
+ * @param  {mixed}   value   Value of the argument
+ * @return {Array[]}         [name, address] pairs for each address in the set
+ * @throws {H3Error}         If the value is not a set of the given kind
+ */
+function getStrictSetEntries(fnName, argName, kind, value) {
+    if (Array.isArray(value)) {
+        return value.map((h3Address, i) => [`${argName}[${i}]`, h3Address]);
+    }
+    if (kind === ARG_KEYED_CELLS && value instanceof Map) {
+        return Array.from(value.keys(), h3Address => [`${argName} key`, h3Address]);
+    }
+    if (kind === ARG_KEYED_CELLS && value && typeof value === 'object') {
+        return Object.keys(value).map(h3Address => [`${argName} key`, h3Address]);
+    }
+    const expected = kind === ARG_KEYED_CELLS ? 'an array, object or Map' : 'an array';
+    throw new H3Error(
+        H3_ERROR_CODES.invalidArgument,
+        `${fnName}: expected ${expected} for argument ${argName}: ${describeValue(value)}`
+    );
+}
+
+/**
+ * Validate the address arguments of an API function, throwing an error if any is invalid
+ * @param  {String}  fnName   Name of the API function
+ * @param  {Array[]} argKinds Names and kinds of the address arguments, in order
+ * @param  {Array}   args     Arguments the function was called with
+ * @throws {H3Error}          If any address argument is invalid
+ */
+function validateStrictArguments(fnName, argKinds, args) {
+    argKinds.forEach(([argName, kind], i) => {
+        const value = args[i];
+        if (kind !== ARG_CELLS && kind !== ARG_KEYED_CELLS) {
+            validateStrictArgument(fnName, argName, kind, value);
+            return;
+        }
+        getStrictSetEntries(fnName, argName, kind, value).forEach(([name, h3Address]) =>
+            validateStrictArgument(fnName, name, ARG_CELL, h3Address)
+        );
+    });
+}
+
 // ----------------------------------------------------------------------------
 // Export
 
@@ -898,15 +3823,27 @@ module.exports = {
     geoToH3,
     h3ToGeo,
     h3ToGeoBoundary,
+    geoToH3Batch,
+    h3ToGeoBatch,
     h3ToParent,
     h3ToChildren,
     kRing,
     kRingDistances,
     hexRing,
     polyfill,
+    polyfillBatches,
+    polyfillCompact,
+    polyfillGeoJson,
+    lineToH3,
     h3SetToMultiPolygon,
+    h3SetToFeatureCollection,
     compact,
     uncompact,
+    h3SetUnion,
+    h3SetIntersection,
+    h3SetDifference,
+    h3SetSymmetricDifference,
+    H3CellSet,
     h3IndexesAreNeighbors,
     getH3UnidirectionalEdge,
     getOriginH3IndexFromUnidirectionalEdge,
@@ -915,10 +3852,72 @@ module.exports = {
     getH3IndexesFromUnidirectionalEdge,
     getH3UnidirectionalEdgesFromHexagon,
     getH3UnidirectionalEdgeBoundary,
+    h3Distance,
+    h3Line,
+    h3ToLocalIj,
+    localIjToH3,
+    decodeH3Address,
+    encodeH3Address,
+    getH3AddressInvalidField,
     hexArea,
+    cellArea,
+    h3SetArea,
     edgeLength,
+    exactEdgeLength,
+    pointDistance,
+    h3CenterDistance,
     numHexagons,
+    h3AddressToSplitLong,
+    splitLongToH3Address,
+    formatH3Address,
+    withIndexFormat,
     degsToRads,
     radsToDegs,
-    UNITS
+    getSampleSpacing,
+    EARTH_RADIUS_KM,
+    UNITS,
+    POLYFILL_MODES,
+    ANTIMERIDIAN_MODES,
+    H3_INDEX_FORMATS,
+    H3_MODES,
+    H3_ERROR_CODES,
+    H3Error,
+    setStrictMode,
+    isStrictMode,
+    getHeapStats
 };
+
+// Check the address arguments of the exported functions and H3CellSet methods when in
+// strict mode. Internal calls to API functions go to the unwrapped functions, so
+// arguments are only checked once.
+Object.keys(STRICT_ARGUMENTS).forEach(name => {
+    const fn = module.exports[name];
+    module.exports[name] = (...args) => {
+        if (strictMode) {
+            validateStrictArguments(name, STRICT_ARGUMENTS[name], args);
+        }
+        return fn(...args);
+    };
+});
+Object.keys(STRICT_CELL_SET_STATIC_ARGUMENTS).forEach(name => {
+    const fn = H3CellSet[name];
+    H3CellSet[name] = (...args) => {
+        if (strictMode) {
+            validateStrictArguments(
+                `H3CellSet.${name}`,
+                STRICT_CELL_SET_STATIC_ARGUMENTS[name],
+                args
+            );
+        }
+        return fn(...args);
+    };
+});
+Object.keys(STRICT_CELL_SET_ARGUMENTS).forEach(name => {
+    const method = H3CellSet.prototype[name];
+    H3CellSet.prototype[name] = function checkedMethod(...args) {
+        if (strictMode) {
+            validateStrictArguments(`H3CellSet#${name}`, STRICT_CELL_SET_ARGUMENTS[name], args);
+        }
+        return method.apply(this, args);
+    };
+});
@@ -0,0 +1,59 @@
+/*
+ * Copyright 2018 Uber Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Holds the compiled core library used by h3core. By default this is the asm.js build,
+// loaded synchronously on first use; the WebAssembly entry point sets its module here
+// once it is ready, before h3core is first required.
+
+let coreModule = null;
+
+/**
+ * Get the compiled core library, loading the asm.js build if no module has been set
+ * @return {Object} Emscripten module
+ */
+function getCoreModule() {
+    if (!coreModule) {
+        coreModule = require('../out/libh3.1');
+    }
+    return coreModule;
+}
+
+/**
+ * Set the compiled core library to use. This has no effect once a module is in use.
+ * @param  {Object} emscriptenModule Emscripten module, with its runtime initialized
+ * @return {Boolean}                 Whether the module was set
+ */
+function setCoreModule(emscriptenModule) {
+    if (coreModule) {
+        return false;
+    }
+    coreModule = emscriptenModule;
+    return true;
+}
+
+/**
+ * Whether a compiled core library is in use
+ * @return {Boolean} Whether a module has been loaded or set
+ */
+function hasCoreModule() {
+    return Boolean(coreModule);
+}
+
+module.exports = {
+    getCoreModule,
+    setCoreModule,
+    hasCoreModule
+};
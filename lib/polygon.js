@@ -0,0 +1,758 @@
+/*
+ * Copyright 2018 Uber Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Planar polygon math on [lat, lng] coordinates, treating degrees as cartesian
+// coordinates in the same way as the point-in-polygon checks in the H3 core library.
+// A polygon is an array of loops, the first the outer loop and the rest holes. Loops
+// may be open or closed.
+
+/**
+ * Whether a polygon crosses the antimeridian, i.e. has an edge spanning more than
+ * 180 degrees of longitude
+ * @param  {Array[]} loops Polygon loops of [lat, lng] points
+ * @return {Boolean}       Whether the polygon is transmeridian
+ */
+function isTransmeridian(loops) {
+    return loops.some(loop =>
+        loop.some((point, i) => Math.abs(point[1] - loop[(i + 1) % loop.length][1]) > 180)
+    );
+}
+
+/**
+ * Shift a longitude by a multiple of 360 degrees so that it is as close as possible
+ * to a reference longitude
+ * @param  {Number} lng          Longitude to shift
+ * @param  {Number} referenceLng Reference longitude
+ * @return {Number}              Shifted longitude
+ */
+function unwrapLng(lng, referenceLng) {
+    return lng + Math.round((referenceLng - lng) / 360) * 360;
+}
+
+/**
+ * Shift a longitude into the continuous range used for transmeridian polygons,
+ * where negative longitudes are moved east of the antimeridian
+ * @param  {Number} lng Longitude
+ * @return {Number}     Shifted longitude
+ */
+function transmeridianLng(lng) {
+    return lng < 0 ? lng + 360 : lng;
+}
+
+/**
+ * Whether a point is inside a loop, using the even-odd rule
+ * @param  {Number[]} point [lat, lng] point
+ * @param  {Array[]}  loop  Loop of [lat, lng] points
+ * @return {Boolean}        Whether the point is inside the loop
+ */
+function pointInLoop(point, loop) {
+    const [lat, lng] = point;
+    let inside = false;
+    for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+        const [latA, lngA] = loop[i];
+        const [latB, lngB] = loop[j];
+        if (
+            latA > lat !== latB > lat &&
+            lng < ((lngB - lngA) * (lat - latA)) / (latB - latA) + lngA
+        ) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point is inside a polygon: inside the outer loop and outside every hole
+ * @param  {Number[]} point [lat, lng] point
+ * @param  {Array[]}  loops Polygon loops
+ * @return {Boolean}        Whether the point is inside the polygon
+ */
+function pointInPolygon(point, loops) {
+    return pointInLoop(point, loops[0]) && !loops.slice(1).some(hole => pointInLoop(point, hole));
+}
+
+/**
+ * Get the bounding box of a loop in radians, as the core library computes it for
+ * polyfill. A loop with an edge spanning more than 180 degrees of longitude is taken
+ * to cross the antimeridian, and its box has a west bound greater than its east bound.
+ * @param  {Array[]} loop Loop of [lat, lng] points, in radians
+ * @return {Object}       Box with south, west, north and east bounds
+ */
+function geofenceBox(loop) {
+    const box = {south: Infinity, west: Infinity, north: -Infinity, east: -Infinity};
+    let crossesAntimeridian = false;
+    loop.forEach(([lat, lng], i) => {
+        box.south = Math.min(box.south, lat);
+        box.north = Math.max(box.north, lat);
+        box.west = Math.min(box.west, lng);
+        box.east = Math.max(box.east, lng);
+        crossesAntimeridian =
+            crossesAntimeridian || Math.abs(lng - loop[(i + 1) % loop.length][1]) > Math.PI;
+    });
+    return crossesAntimeridian
+        ? {south: box.south, west: box.east, north: box.north, east: box.west}
+        : box;
+}
+
+/**
+ * Whether a point is in a bounding box returned by geofenceBox
+ * @param  {Object}   box   Bounding box
+ * @param  {Number[]} point [lat, lng] point, in radians
+ * @return {Boolean}        Whether the point is in the box
+ */
+function geofenceBoxContains(box, point) {
+    const [lat, lng] = point;
+    if (lat < box.south || lat > box.north) {
+        return false;
+    }
+    return box.east < box.west
+        ? lng >= box.west || lng <= box.east
+        : lng >= box.west && lng <= box.east;
+}
+
+/**
+ * Whether a point is inside a loop, with the same arithmetic as the point-in-polygon
+ * check of the core library's polyfill, so that points on an edge or vertex are
+ * assigned the same way. Rays are cast east, and a point sharing its longitude with
+ * a vertex is moved west by the smallest step.
+ * @param  {Number[]} point [lat, lng] point, in radians
+ * @param  {Array[]}  loop  Loop of [lat, lng] points, in radians
+ * @param  {Object}   box   Bounding box of the loop, as returned by geofenceBox
+ * @return {Boolean}        Whether the point is inside the loop
+ */
+function pointInGeofence(point, loop, box) {
+    if (!geofenceBoxContains(box, point)) {
+        return false;
+    }
+    const lat = point[0];
+    const crossesAntimeridian = box.east < box.west;
+    const normalizeLng = value => (crossesAntimeridian && value < 0 ? value + 2 * Math.PI : value);
+    let lng = normalizeLng(point[1]);
+    let inside = false;
+    for (let i = 0; i < loop.length; i++) {
+        const next = loop[(i + 1) % loop.length];
+        const [a, b] = loop[i][0] > next[0] ? [next, loop[i]] : [loop[i], next];
+        if (lat >= a[0] && lat <= b[0]) {
+            const lngA = normalizeLng(a[1]);
+            const lngB = normalizeLng(b[1]);
+            if (lngA === lng || lngB === lng) {
+                lng -= Number.EPSILON;
+            }
+            const crossingLng = lngA + ((lat - a[0]) / (b[0] - a[0])) * (lngB - lngA);
+            if (normalizeLng(crossingLng) > lng) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point is inside a polygon in radians, with the same arithmetic as the
+ * core library's polyfill
+ * @param  {Number[]} point     [lat, lng] point, in radians
+ * @param  {Object[]} geofences Polygon loops, as {loop, box} with the box returned
+ *                              by geofenceBox
+ * @return {Boolean}            Whether the point is inside the polygon
+ */
+function pointInGeofences(point, geofences) {
+    return (
+        pointInGeofence(point, geofences[0].loop, geofences[0].box) &&
+        !geofences.slice(1).some(hole => pointInGeofence(point, hole.loop, hole.box))
+    );
+}
+
+/**
+ * Get the orientation of an ordered triplet of points
+ * @param  {Number[]} a [lat, lng] point
+ * @param  {Number[]} b [lat, lng] point
+ * @param  {Number[]} c [lat, lng] point
+ * @return {Number}     Positive for counter-clockwise, negative for clockwise, 0 if collinear
+ */
+function orientation(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+/**
+ * Whether a point known to be collinear with a segment lies within the segment's bounds
+ * @param  {Number[]} point [lat, lng] point
+ * @param  {Number[]} a     Segment start
+ * @param  {Number[]} b     Segment end
+ * @return {Boolean}        Whether the point is on the segment
+ */
+function onSegment(point, a, b) {
+    return (
+        point[0] >= Math.min(a[0], b[0]) &&
+        point[0] <= Math.max(a[0], b[0]) &&
+        point[1] >= Math.min(a[1], b[1]) &&
+        point[1] <= Math.max(a[1], b[1])
+    );
+}
+
+/**
+ * Whether two segments intersect, including touching at an end point
+ * @param  {Number[]} a1 First segment start
+ * @param  {Number[]} a2 First segment end
+ * @param  {Number[]} b1 Second segment start
+ * @param  {Number[]} b2 Second segment end
+ * @return {Boolean}     Whether the segments intersect
+ */
+function segmentsIntersect(a1, a2, b1, b2) {
+    const o1 = orientation(a1, a2, b1);
+    const o2 = orientation(a1, a2, b2);
+    const o3 = orientation(b1, b2, a1);
+    const o4 = orientation(b1, b2, a2);
+    if (o1 * o2 < 0 && o3 * o4 < 0) {
+        return true;
+    }
+    return (
+        (o1 === 0 && onSegment(b1, a1, a2)) ||
+        (o2 === 0 && onSegment(b2, a1, a2)) ||
+        (o3 === 0 && onSegment(a1, b1, b2)) ||
+        (o4 === 0 && onSegment(a2, b1, b2))
+    );
+}
+
+/**
+ * Whether any edge of one loop intersects any edge of another
+ * @param  {Array[]} loopA Loop of [lat, lng] points
+ * @param  {Array[]} loopB Loop of [lat, lng] points
+ * @return {Boolean}       Whether the loop edges intersect
+ */
+function loopEdgesIntersect(loopA, loopB) {
+    for (let i = 0, j = loopA.length - 1; i < loopA.length; j = i++) {
+        for (let k = 0, l = loopB.length - 1; k < loopB.length; l = k++) {
+            if (segmentsIntersect(loopA[j], loopA[i], loopB[l], loopB[k])) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Whether a loop shares any point with a polygon
+ * @param  {Array[]} loop  Loop of [lat, lng] points
+ * @param  {Array[]} loops Polygon loops
+ * @return {Boolean}       Whether the loop intersects the polygon
+ */
+function loopIntersectsPolygon(loop, loops) {
+    return (
+        loop.some(point => pointInPolygon(point, loops)) ||
+        loops.some(polygonLoop => pointInLoop(polygonLoop[0], loop)) ||
+        loops.some(polygonLoop => loopEdgesIntersect(loop, polygonLoop))
+    );
+}
+
+/**
+ * Whether a loop is entirely inside a polygon, with no part of the polygon's
+ * boundary inside or on the loop
+ * @param  {Array[]} loop  Loop of [lat, lng] points
+ * @param  {Array[]} loops Polygon loops
+ * @return {Boolean}       Whether the loop is contained by the polygon
+ */
+function loopInsidePolygon(loop, loops) {
+    return (
+        loop.every(point => pointInPolygon(point, loops)) &&
+        !loops.some(polygonLoop => pointInLoop(polygonLoop[0], loop)) &&
+        !loops.some(polygonLoop => loopEdgesIntersect(loop, polygonLoop))
+    );
+}
+
+/**
+ * Whether a segment shares any point with a loop
+ * @param  {Number[]} a    Segment start
+ * @param  {Number[]} b    Segment end
+ * @param  {Array[]}  loop Loop of [lat, lng] points
+ * @return {Boolean}       Whether the segment intersects the loop
+ */
+function segmentIntersectsLoop(a, b, loop) {
+    return pointInLoop(a, loop) || loopEdgesIntersect([a, b], loop);
+}
+
+/**
+ * Get the distance from a point to a segment
+ * @param  {Number[]} point Point
+ * @param  {Number[]} a     Segment start
+ * @param  {Number[]} b     Segment end
+ * @return {Number}         Distance to the closest point on the segment
+ */
+function pointToSegmentDistance(point, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared
+        ? Math.max(
+              0,
+              Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared)
+          )
+        : 0;
+    return Math.hypot(point[0] - (a[0] + t * dx), point[1] - (a[1] + t * dy));
+}
+
+/**
+ * Get the distance from a segment to a loop, or 0 if they intersect. If the segment
+ * and loop don't intersect, the closest points are always at an end point of the
+ * segment or at a vertex of the loop.
+ * @param  {Number[]} a    Segment start
+ * @param  {Number[]} b    Segment end
+ * @param  {Array[]}  loop Loop of points
+ * @return {Number}        Distance between the segment and the loop
+ */
+function segmentToLoopDistance(a, b, loop) {
+    if (segmentIntersectsLoop(a, b, loop)) {
+        return 0;
+    }
+    let distance = Infinity;
+    for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+        distance = Math.min(
+            distance,
+            pointToSegmentDistance(loop[i], a, b),
+            pointToSegmentDistance(a, loop[j], loop[i]),
+            pointToSegmentDistance(b, loop[j], loop[i])
+        );
+    }
+    return distance;
+}
+
+/**
+ * Get points along a segment, no further apart than the given spacing
+ * @param  {Number[]} a       Segment start
+ * @param  {Number[]} b       Segment end
+ * @param  {Number}   spacing Maximum distance between points, in degrees
+ * @return {Array[]}          [lat, lng] points, including the start but not the end
+ */
+function sampleSegment(a, b, spacing) {
+    const steps = Math.max(1, Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / spacing));
+    const points = [];
+    for (let step = 0; step < steps; step++) {
+        const t = step / steps;
+        points.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+    }
+    return points;
+}
+
+/**
+ * Get points along the edges of a loop, no further apart than the given spacing
+ * @param  {Array[]} loop    Loop of [lat, lng] points
+ * @param  {Number}  spacing Maximum distance between points, in degrees
+ * @return {Array[]}         [lat, lng] points, including the loop vertices
+ */
+function samplePoints(loop, spacing) {
+    const points = [];
+    for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+        points.push(...sampleSegment(loop[j], loop[i], spacing));
+    }
+    return points;
+}
+
+/**
+ * Get the signed area of a loop, treating longitude as x and latitude as y
+ * @param  {Array[]} loop Loop of [lat, lng] points
+ * @return {Number}       Area, positive for counter-clockwise loops
+ */
+function signedArea(loop) {
+    let area = 0;
+    for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+        area += loop[j][1] * loop[i][0] - loop[i][1] * loop[j][0];
+    }
+    return area / 2;
+}
+
+/**
+ * Make the longitudes of a loop continuous, so that no edge spans more than 180 degrees
+ * @param  {Array[]} loop         Loop of [lat, lng] points
+ * @param  {Number}  referenceLng Longitude the first point should be closest to
+ * @return {Array[]}              Loop with continuous longitudes
+ */
+function unwrapLoop(loop, referenceLng) {
+    const out = [];
+    loop.forEach(([lat, lng], i) => {
+        out.push([lat, unwrapLng(lng, i ? out[i - 1][1] : referenceLng)]);
+    });
+    return out;
+}
+
+/**
+ * Get the number of times a loop with continuous longitudes winds around a pole,
+ * positive for eastward and negative for westward
+ * @param  {Array[]} loop Loop with continuous longitudes
+ * @return {Number}       Winding number, 0 for loops that don't enclose a pole
+ */
+function poleWinding(loop) {
+    const first = loop[0][1];
+    const last = loop[loop.length - 1][1];
+    return Math.round((unwrapLng(first, last) - first) / 360);
+}
+
+/**
+ * Get the point where a segment crosses a meridian
+ * @param  {Number[]} a   [lat, lng] start, on one side of the meridian
+ * @param  {Number[]} b   [lat, lng] end, on the other side or on the meridian
+ * @param  {Number}   lng Longitude of the meridian
+ * @return {Number[]}     [lat, lng] crossing point
+ */
+function meridianCrossing(a, b, lng) {
+    const t = (lng - a[1]) / (b[1] - a[1]);
+    return [a[0] + (b[0] - a[0]) * t, lng];
+}
+
+/**
+ * Remove consecutive duplicate points from a loop
+ * @param  {Array[]} loop Loop of [lat, lng] points
+ * @return {Array[]}      Loop without repeated points
+ */
+function removeRepeatedPoints(loop) {
+    return loop.filter((point, i) => {
+        const prev = loop[(i + loop.length - 1) % loop.length];
+        return loop.length < 2 || point[0] !== prev[0] || point[1] !== prev[1];
+    });
+}
+
+/**
+ * Convert a loop that encloses a pole into a loop spanning exactly -180 to 180
+ * degrees of longitude, closed along the pole
+ * @param  {Array[]} loop    Loop with continuous longitudes
+ * @param  {Number}  winding Winding number of the loop, as returned by poleWinding
+ * @return {Array[]}         Loop of [lat, lng] points
+ */
+function polarLoopToRange(loop, winding) {
+    const shift = winding * 360;
+    const path = loop.concat(loop.map(([lat, lng]) => [lat, lng + shift]));
+    // Start where the path first crosses the antimeridian
+    const lap = point => Math.floor((point[1] + 180) / 360);
+    let start = 1;
+    while (lap(path[start]) === lap(path[start - 1])) {
+        start++;
+    }
+    const startLng = (winding > 0 ? lap(path[start]) : lap(path[start - 1])) * 360 - 180;
+    const out = [meridianCrossing(path[start - 1], path[start], startLng)];
+    for (let i = start; i < start + loop.length; i++) {
+        out.push(path[i]);
+    }
+    out.push([out[0][0], startLng + shift]);
+    const poleLat = loop.reduce((sum, point) => sum + point[0], 0) > 0 ? 90 : -90;
+    out.push([poleLat, startLng + shift], [poleLat, startLng]);
+    const offset = (winding > 0 ? -180 : 180) - startLng;
+    return removeRepeatedPoints(out.map(([lat, lng]) => [lat, lng + offset]));
+}
+
+/**
+ * Split a loop with continuous longitudes into chains on either side of the 180th
+ * meridian, each starting and ending on the meridian
+ * @param  {Array[]} loop Loop with continuous longitudes
+ * @return {Object[]}     Chains, as {east, points} objects, or an empty array if the
+ *                        loop doesn't cross the meridian
+ */
+function splitLoopIntoChains(loop) {
+    const isEast = point => point[1] > 180;
+    const count = loop.length;
+    const prevIndex = i => (i + count - 1) % count;
+    const start = loop.findIndex((point, i) => isEast(point) !== isEast(loop[prevIndex(i)]));
+    if (start < 0) {
+        return [];
+    }
+    const chains = [];
+    const firstCrossing = meridianCrossing(loop[prevIndex(start)], loop[start], 180);
+    let chain = {east: isEast(loop[start]), points: [firstCrossing]};
+    for (let k = 0; k < count; k++) {
+        const point = loop[(start + k) % count];
+        if (isEast(point) !== chain.east) {
+            const crossing = meridianCrossing(chain.points[chain.points.length - 1], point, 180);
+            chain.points.push(crossing);
+            chains.push(chain);
+            chain = {east: isEast(point), points: [crossing]};
+        }
+        chain.points.push(point);
+    }
+    chain.points.push(firstCrossing);
+    chains.push(chain);
+    return chains;
+}
+
+/**
+ * Find the chain to continue a ring with, walking along the meridian from the end of
+ * the ring in the direction that keeps the inside of the ring on the left: north on
+ * the west side, south on the east side.
+ * @param  {Array[]}  ring   Ring being built
+ * @param  {Object[]} chains Unused chains on the same side
+ * @param  {Boolean}  east   Whether the ring is on the east side of the meridian
+ * @return {Number}          Index of the next chain, or -1 to close the ring
+ */
+function findNextChain(ring, chains, east) {
+    const endLat = ring[ring.length - 1][0];
+    const distance = lat => (east ? endLat - lat : lat - endLat);
+    let best = -1;
+    let bestDistance = distance(ring[0][0]);
+    chains.forEach((chain, i) => {
+        const chainDistance = distance(chain.points[0][0]);
+        if (chainDistance >= 0 && (bestDistance < 0 || chainDistance < bestDistance)) {
+            best = i;
+            bestDistance = chainDistance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Join chains on one side of the meridian into closed rings
+ * @param  {Object[]} chains Chains on one side
+ * @param  {Boolean}  east   Whether the chains are on the east side
+ * @return {Array[]}         Rings of [lat, lng] points
+ */
+function joinChains(chains, east) {
+    const unused = chains.slice();
+    const rings = [];
+    while (unused.length) {
+        let ring = unused.shift().points;
+        let next = findNextChain(ring, unused, east);
+        while (next >= 0) {
+            ring = ring.concat(unused.splice(next, 1)[0].points);
+            next = findNextChain(ring, unused, east);
+        }
+        rings.push(removeRepeatedPoints(ring));
+    }
+    return rings;
+}
+
+/**
+ * Shift the longitudes of a loop
+ * @param  {Array[]} loop   Loop of [lat, lng] points
+ * @param  {Number}  offset Longitude offset
+ * @return {Array[]}        Shifted loop
+ */
+function shiftLoop(loop, offset) {
+    return loop.map(([lat, lng]) => [lat, lng + offset]);
+}
+
+/**
+ * Cut a polygon with continuous longitudes at the 180th meridian
+ * @param  {Array[]} loops Polygon loops, the outer loop counter-clockwise and holes
+ *                         clockwise
+ * @return {Array[]}       Polygons, each an array of loops, with longitudes in
+ *                         [-180, 180]
+ */
+function cutPolygonAtAntimeridian(loops) {
+    const chains = [];
+    const holes = [];
+    loops.forEach(loop => {
+        const loopChains = splitLoopIntoChains(loop);
+        if (loopChains.length) {
+            loopChains.forEach(chain => chains.push(chain));
+        } else {
+            holes.push(loop);
+        }
+    });
+    const polygons = [];
+    [false, true].forEach(east => {
+        const offset = east ? -360 : 0;
+        joinChains(chains.filter(chain => chain.east === east), east).forEach(ring => {
+            const ringHoles = holes.filter(
+                hole => hole[0][1] > 180 === east && pointInLoop(hole[0], ring)
+            );
+            polygons.push([ring].concat(ringHoles).map(loop => shiftLoop(loop, offset)));
+        });
+    });
+    return polygons;
+}
+
+/**
+ * Split a polygon that crosses the antimeridian into polygons that don't, as required
+ * by RFC 7946. Longitudes are read as the shortest way between consecutive points,
+ * and loops that enclose a pole are closed along the pole. Polygons that don't cross
+ * the antimeridian are returned unchanged.
+ * @param  {Array[]} loops Polygon loops of [lat, lng] points, the first the outer loop
+ *                         and the rest holes, with longitudes in [-180, 180]
+ * @return {Array[]}       Polygons, each an array of loops, with longitudes in
+ *                         [-180, 180]
+ */
+function splitPolygonAtAntimeridian(loops) {
+    const outer = unwrapLoop(loops[0], loops[0][0][1]);
+    const winding = poleWinding(outer);
+    if (winding) {
+        return [[polarLoopToRange(outer, winding)].concat(loops.slice(1))];
+    }
+    const lngs = outer.map(point => point[1]);
+    const offset = Math.min.apply(null, lngs) < -180 ? 360 : 0;
+    const minLng = Math.min.apply(null, lngs) + offset;
+    const maxLng = Math.max.apply(null, lngs) + offset;
+    if (maxLng <= 180) {
+        return [loops];
+    }
+    const centerLng = (minLng + maxLng) / 2;
+    const shifted = [shiftLoop(outer, offset)].concat(
+        loops.slice(1).map(hole => unwrapLoop(hole, centerLng))
+    );
+    // Orient the outer loop counter-clockwise and holes clockwise
+    const oriented = shifted.map(
+        (loop, i) => (signedArea(loop) > 0 === (i === 0) ? loop : loop.slice().reverse())
+    );
+    return cutPolygonAtAntimeridian(oriented);
+}
+
+/**
+ * Get the point where a segment crosses a line of constant latitude or longitude
+ * @param  {Number[]} a     Segment start
+ * @param  {Number[]} b     Segment end
+ * @param  {Number}   axis  0 for a line of latitude, 1 for a line of longitude
+ * @param  {Number}   bound Latitude or longitude of the line
+ * @return {Number[]}       [lat, lng] point on the line
+ */
+function axisCrossing(a, b, axis, bound) {
+    const t = (bound - a[axis]) / (b[axis] - a[axis]);
+    const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    point[axis] = bound;
+    return point;
+}
+
+/**
+ * Clip a loop to one side of a line of constant latitude or longitude
+ * @param  {Array[]} loop  Loop of [lat, lng] points
+ * @param  {Number}  axis  0 for a line of latitude, 1 for a line of longitude
+ * @param  {Number}  bound Latitude or longitude of the line
+ * @param  {Number}  sign  1 to keep points above the bound, -1 to keep points below it
+ * @return {Array[]}       Clipped loop
+ */
+function clipLoopToHalfPlane(loop, axis, bound, sign) {
+    const inside = point => (point[axis] - bound) * sign >= 0;
+    const out = [];
+    for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+        if (inside(loop[i]) !== inside(loop[j])) {
+            out.push(axisCrossing(loop[j], loop[i], axis, bound));
+        }
+        if (inside(loop[i])) {
+            out.push(loop[i]);
+        }
+    }
+    return out;
+}
+
+/**
+ * Clip a polygon to a bounding box with the Sutherland-Hodgman algorithm. Points in
+ * the box are inside the clipped polygon if and only if they are inside the original
+ * polygon; parts of a concave polygon outside the box may leave zero-width spikes
+ * along its edges, which contain no points.
+ * @param  {Array[]} loops Polygon loops of [lat, lng] points
+ * @param  {Object}  box   Bounding box, with south, west, north and east bounds
+ * @return {Array[]}       Clipped loops, without holes outside the box, or an
+ *                         empty array if the polygon is outside the box
+ */
+function clipPolygonToBox(loops, box) {
+    const edges = [[0, box.south, 1], [0, box.north, -1], [1, box.west, 1], [1, box.east, -1]];
+    const clipped = loops
+        .map(loop =>
+            edges.reduce(
+                (points, [axis, bound, sign]) => clipLoopToHalfPlane(points, axis, bound, sign),
+                loop
+            )
+        )
+        .filter((loop, i) => i === 0 || loop.length >= 3);
+    return clipped[0].length >= 3 ? clipped : [];
+}
+
+/**
+ * Get the edges of a polygon, so that parts of its boundary can be tested on their own
+ * @param  {Array[]} loops Polygon loops of [lat, lng] points
+ * @return {Array[]}       Edges, as [start, end] pairs of points
+ */
+function polygonEdges(loops) {
+    const edges = [];
+    loops.forEach(loop => {
+        for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+            edges.push([loop[j], loop[i]]);
+        }
+    });
+    return edges;
+}
+
+/**
+ * Get the edges that may pass through a bounding box. Longitudes are compared modulo
+ * 360 degrees, so the box may extend past the antimeridian.
+ * @param  {Array[]} edges Edges, as [start, end] pairs of points
+ * @param  {Object}  box   Bounding box, with south, west, north and east bounds
+ * @return {Array[]}       Edges whose bounds overlap the box
+ */
+function edgesInBox(edges, box) {
+    return edges.filter(([a, b]) => {
+        if (Math.max(a[0], b[0]) < box.south || Math.min(a[0], b[0]) > box.north) {
+            return false;
+        }
+        const west = Math.min(a[1], b[1]);
+        const east = Math.max(a[1], b[1]);
+        return [0, 360, -360].some(
+            offset => east + offset >= box.west && west + offset <= box.east
+        );
+    });
+}
+
+/**
+ * Whether a segment crosses an odd number of edges, i.e. whether its end points are
+ * on opposite sides of a boundary made up of the edges. Vertices lying exactly on the
+ * segment are counted on one side, so that each crossing is counted once.
+ * @param  {Number[]} p     Segment start
+ * @param  {Number[]} q     Segment end
+ * @param  {Array[]}  edges Edges, as [start, end] pairs of points, including every
+ *                          edge that crosses the segment
+ * @return {Boolean}        Whether the number of crossings is odd
+ */
+function crossesOddEdges(p, q, edges) {
+    let odd = false;
+    edges.forEach(([a, b]) => {
+        if (
+            orientation(p, q, a) > 0 !== orientation(p, q, b) > 0 &&
+            orientation(a, b, p) > 0 !== orientation(a, b, q) > 0
+        ) {
+            odd = !odd;
+        }
+    });
+    return odd;
+}
+
+/**
+ * Whether any of a set of edges shares a point with a loop
+ * @param  {Array[]} loop  Loop of [lat, lng] points
+ * @param  {Array[]} edges Edges, as [start, end] pairs of points
+ * @return {Boolean}       Whether any edge intersects the loop or lies inside it
+ */
+function edgesTouchLoop(loop, edges) {
+    return edges.some(([a, b]) => segmentIntersectsLoop(a, b, loop));
+}
+
+module.exports = {
+    isTransmeridian,
+    unwrapLng,
+    transmeridianLng,
+    pointInLoop,
+    pointInPolygon,
+    geofenceBox,
+    pointInGeofence,
+    pointInGeofences,
+    segmentsIntersect,
+    loopIntersectsPolygon,
+    loopInsidePolygon,
+    segmentIntersectsLoop,
+    pointToSegmentDistance,
+    segmentToLoopDistance,
+    sampleSegment,
+    samplePoints,
+    unwrapLoop,
+    splitPolygonAtAntimeridian,
+    clipPolygonToBox,
+    polygonEdges,
+    edgesInBox,
+    crossesOddEdges,
+    edgesTouchLoop
+};
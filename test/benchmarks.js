@@ -31,6 +31,13 @@ const polygon = [
     [37.85055848093865, -122.48545496947689]
 ];
 const ring10 = h3core.kRing(h3Address, 10);
+const batchLats = new Float64Array(1000);
+const batchLngs = new Float64Array(1000);
+for (let i = 0; i < 1000; i++) {
+    batchLats[i] = 37 + i / 1000;
+    batchLngs[i] = -122 + i / 1000;
+}
+const batchSplitLongs = h3core.geoToH3Batch(batchLats, batchLngs, 9);
 const ring10Compact = h3core.compact(ring10);
 
 // add tests
@@ -47,6 +54,14 @@ suite.add('h3ToGeo', () => {
     h3core.h3ToGeo(h3Address);
 });
 
+suite.add('geoToH3Batch (1000 points)', () => {
+    h3core.geoToH3Batch(batchLats, batchLngs, 9);
+});
+
+suite.add('h3ToGeoBatch (1000 points)', () => {
+    h3core.h3ToGeoBatch(batchSplitLongs);
+});
+
 suite.add('h3ToGeoBoundary', () => {
     h3core.h3ToGeoBoundary(h3Address);
 });
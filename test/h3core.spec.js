@@ -14,8 +14,12 @@
  * limitations under the License.
  */
 
+/* global BigInt, process */
+
 const test = require('tape');
+const {execFile} = require('child_process');
 const h3core = require('../lib/h3core');
+const {getSampleResults} = require('./wasm-results');
 
 const GEO_PRECISION = 12;
 
@@ -29,6 +33,19 @@ function toLowPrecision(maybeNumber) {
     throw new Error(`Unhandled type: ${maybeNumber}`);
 }
 
+function getThrownError(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+function almostEqual(a, b, tolerance = 1e-9) {
+    return Math.abs(a - b) <= Math.abs(b) * tolerance;
+}
+
 test('h3IsValid', assert => {
     assert.ok(h3core.h3IsValid('85283473fffffff'), 'H3 Address is considered an address');
     assert.ok(h3core.h3IsValid('850dab63fffffff'), 'H3 Address from Java assert also valid');
@@ -80,6 +97,57 @@ test('h3ToGeo', assert => {
     assert.end();
 });
 
+test('geoToH3Batch', assert => {
+    const lats = new Float64Array([37.3615593, 30.943387, 46.04189431883772, NaN]);
+    const lngs = new Float64Array([-122.0553238, -164.991559, 71.52790329909925, 0]);
+    const splitLongs = h3core.geoToH3Batch(lats, lngs, 5);
+    assert.ok(splitLongs instanceof Uint32Array, 'Got a typed array back');
+    assert.equal(splitLongs.length, 8, 'Got two ints per point');
+    for (let i = 0; i < 3; i++) {
+        assert.equal(
+            h3core.splitLongToH3Address(splitLongs[i * 2], splitLongs[i * 2 + 1]),
+            h3core.geoToH3(lats[i], lngs[i], 5),
+            `Got expected address for point ${i}`
+        );
+    }
+    assert.deepEqual([splitLongs[6], splitLongs[7]], [0, 0], 'Got zeros for invalid point');
+    assert.end();
+});
+
+test('geoToH3Batch - Invalid', assert => {
+    assert.throws(
+        () => h3core.geoToH3Batch(new Float64Array(2), new Float64Array(1), 5),
+        /Mismatched column lengths/,
+        'throws on mismatched columns'
+    );
+    assert.throws(
+        () => h3core.geoToH3Batch(new Float64Array(1), new Float64Array(1), 16),
+        /Invalid resolution/,
+        'throws on invalid resolution'
+    );
+    assert.end();
+});
+
+test('h3ToGeoBatch', assert => {
+    const h3Addresses = ['85283473fffffff', '8547732ffffffff', '8f2000000000000'];
+    const splitLongs = new Uint32Array(8);
+    h3Addresses.forEach((h3Address, i) => {
+        splitLongs.set(h3core.h3AddressToSplitLong(h3Address), i * 2);
+    });
+    const [lats, lngs] = h3core.h3ToGeoBatch(splitLongs);
+    assert.ok(lats instanceof Float64Array, 'Got a typed array back');
+    assert.equal(lats.length, 4, 'Got one latitude per address');
+    h3Addresses.forEach((h3Address, i) => {
+        assert.deepEqual(
+            [lats[i], lngs[i]],
+            h3core.h3ToGeo(h3Address),
+            `Got expected center for ${h3Address}`
+        );
+    });
+    assert.ok(isNaN(lats[3]) && isNaN(lngs[3]), 'Got NaN for empty address');
+    assert.end();
+});
+
 test('h3ToGeoBoundary', assert => {
     const latlngs = h3core.h3ToGeoBoundary('85283473fffffff');
     const expectedlatlngs = [
@@ -142,6 +210,78 @@ test('h3ToGeoBoundary - 10-Vertex Pentagon', assert => {
     assert.end();
 });
 
+// Resolution 3 hexagon crossing the antimeridian at the equator
+const ANTIMERIDIAN_HEXAGON = '837eb5fffffffff';
+
+test('h3ToGeoBoundary - Antimeridian unwrap', assert => {
+    const coords = h3core.h3ToGeoBoundary(
+        ANTIMERIDIAN_HEXAGON,
+        true,
+        h3core.ANTIMERIDIAN_MODES.unwrap
+    );
+    assert.equal(coords.length, 7, 'Got a closed loop');
+    assert.ok(coords.every(([lng]) => lng > 179 && lng < 181), 'Longitudes are continuous');
+    assert.deepEqual(
+        coords.map(([lng, lat]) => [lat, lng > 180 ? lng - 360 : lng]),
+        h3core
+            .h3ToGeoBoundary(ANTIMERIDIAN_HEXAGON)
+            .concat([h3core.h3ToGeoBoundary(ANTIMERIDIAN_HEXAGON)[0]]),
+        'Vertices match the wrapped boundary'
+    );
+    assert.end();
+});
+
+test('h3ToGeoBoundary - Antimeridian split', assert => {
+    const polygons = h3core.h3ToGeoBoundary(
+        ANTIMERIDIAN_HEXAGON,
+        true,
+        h3core.ANTIMERIDIAN_MODES.split
+    );
+    assert.equal(polygons.length, 2, 'Got a polygon on each side of the antimeridian');
+    const [west, east] = polygons.map(polygon => polygon[0]);
+    assert.ok(west.every(([lng]) => lng >= 179), 'West polygon is west of the antimeridian');
+    assert.ok(east.every(([lng]) => lng <= -179), 'East polygon is east of the antimeridian');
+    assert.deepEqual(west[0], west[west.length - 1], 'Got closed loops');
+    assert.equal(west.filter(([lng]) => lng === 180).length, 3, 'West loop is cut at 180');
+    assert.equal(east.filter(([lng]) => lng === -180).length, 3, 'East loop is cut at -180');
+    assert.end();
+});
+
+test('h3ToGeoBoundary - Antimeridian split, not crossing', assert => {
+    assert.deepEqual(
+        h3core.h3ToGeoBoundary('8928308280fffff', false, h3core.ANTIMERIDIAN_MODES.split),
+        [[h3core.h3ToGeoBoundary('8928308280fffff')]],
+        'Got the boundary as a single polygon'
+    );
+    assert.end();
+});
+
+test('h3ToGeoBoundary - Antimeridian split, pole', assert => {
+    const polygons = h3core.h3ToGeoBoundary(
+        h3core.geoToH3(90, 0, 2),
+        false,
+        h3core.ANTIMERIDIAN_MODES.split
+    );
+    assert.equal(polygons.length, 1, 'Got a single polygon');
+    const loop = polygons[0][0];
+    assert.ok(loop.every(([, lng]) => lng >= -180 && lng <= 180), 'Longitudes are within range');
+    assert.deepEqual(
+        loop.filter(([lat]) => lat === 90),
+        [[90, 180], [90, -180]],
+        'Closed at the pole'
+    );
+    assert.end();
+});
+
+test('h3ToGeoBoundary - Bad antimeridian mode', assert => {
+    assert.throws(
+        () => h3core.h3ToGeoBoundary(ANTIMERIDIAN_HEXAGON, true, 'foo'),
+        /Unknown antimeridian mode: foo/,
+        'throws on unknown mode'
+    );
+    assert.end();
+});
+
 test('kRing', assert => {
     const hexagons = h3core.kRing('8928308280fffff', 1);
     assert.equal(1 + 6, hexagons.length, 'got the expected number of hexagons for a single ring');
@@ -378,6 +518,198 @@ test('hexRing - pentagon', assert => {
     assert.end();
 });
 
+test('h3Distance', assert => {
+    const origin = '8928308280fffff';
+    assert.equal(h3core.h3Distance(origin, origin), 0, 'Got distance 0 to self');
+    for (let k = 1; k <= 3; k++) {
+        h3core.hexRing(origin, k).forEach(h3Index => {
+            assert.equal(h3core.h3Distance(origin, h3Index), k, `Got distance ${k} for ring ${k}`);
+        });
+    }
+    assert.equal(
+        h3core.h3Distance('85283473fffffff', '85283083fffffff'),
+        4,
+        'Got distance across cells'
+    );
+    assert.equal(
+        h3core.h3Distance(
+            h3core.h3AddressToSplitLong(origin),
+            h3core.h3AddressToSplitLong('8928308288bffff')
+        ),
+        3,
+        'Got distance for split long input'
+    );
+    assert.end();
+});
+
+test('h3Distance - Pentagon', assert => {
+    const pentagon = '821c07fffffffff';
+    h3core.kRing(pentagon, 2).forEach(h3Index => {
+        assert.ok(h3core.h3Distance(pentagon, h3Index) <= 2, 'Got distance from pentagon');
+    });
+    assert.throws(
+        () => h3core.h3Distance('821ceffffffffff', '821c37fffffffff'),
+        /Failed to get distance \(pentagon distortion\)/,
+        'throws across pentagon distortion'
+    );
+    assert.end();
+});
+
+test('h3Distance - Invalid', assert => {
+    assert.throws(
+        () => h3core.h3Distance('8928308280fffff', '8828308281fffff'),
+        /Failed to get distance \(cells have different resolutions\)/,
+        'throws for different resolutions'
+    );
+    assert.throws(
+        () => h3core.h3Distance('8029fffffffffff', '8079fffffffffff'),
+        /Failed to get distance \(cells are too far apart\)/,
+        'throws for cells too far apart'
+    );
+    assert.throws(
+        () => h3core.h3Distance('8928308280fffff', 'foo'),
+        /Invalid hexagon address/,
+        'throws for invalid input'
+    );
+    assert.end();
+});
+
+test('h3Line', assert => {
+    assert.deepEqual(
+        h3core.h3Line('85283473fffffff', '85283083fffffff'),
+        [
+            '85283473fffffff',
+            '85283463fffffff',
+            '85283467fffffff',
+            '8528309bfffffff',
+            '85283083fffffff'
+        ],
+        'Got expected line'
+    );
+    assert.deepEqual(
+        h3core.h3Line('8928308280fffff', '8928308280fffff'),
+        ['8928308280fffff'],
+        'Got line to self'
+    );
+    assert.end();
+});
+
+test('h3Line - Contiguous', assert => {
+    const origin = '8928308280fffff';
+    h3core.hexRing(origin, 5).forEach(destination => {
+        const line = h3core.h3Line(origin, destination);
+        assert.equal(line.length, h3core.h3Distance(origin, destination) + 1, 'Got line length');
+        assert.equal(line[line.length - 1], destination, 'Line ends at destination');
+        for (let i = 1; i < line.length; i++) {
+            assert.ok(
+                h3core.h3IndexesAreNeighbors(line[i - 1], line[i]),
+                'Consecutive hexagons are neighbors'
+            );
+        }
+    });
+    assert.end();
+});
+
+test('h3Line - Invalid', assert => {
+    assert.throws(
+        () => h3core.h3Line('821ceffffffffff', '821c37fffffffff'),
+        /Failed to get line \(pentagon distortion\)/,
+        'throws across pentagon distortion'
+    );
+    assert.throws(
+        () => h3core.h3Line('8029fffffffffff', '8079fffffffffff'),
+        /Failed to get line \(cells are too far apart\)/,
+        'throws for cells too far apart'
+    );
+    assert.throws(
+        () => h3core.h3Line('8928308280fffff', '8828308281fffff'),
+        /Failed to get line \(cells have different resolutions\)/,
+        'throws for different resolutions'
+    );
+    assert.end();
+});
+
+test('h3ToLocalIj', assert => {
+    const origin = '8928308280fffff';
+    assert.deepEqual(h3core.h3ToLocalIj(origin, origin), {i: 1119, j: 616}, 'Got origin coords');
+    assert.deepEqual(
+        h3core.h3ToLocalIj(origin, '8928308280bffff'),
+        {i: 1120, j: 617},
+        'Got neighbor coords'
+    );
+    assert.deepEqual(
+        h3core.h3ToLocalIj('8009fffffffffff', '8007fffffffffff'),
+        {i: 1, j: 0},
+        'Got coords next to a pentagon'
+    );
+    assert.end();
+});
+
+test('h3ToLocalIj - Invalid', assert => {
+    assert.throws(
+        () => h3core.h3ToLocalIj('821ceffffffffff', '821c37fffffffff'),
+        /Failed to get local IJ coordinates \(pentagon distortion\)/,
+        'throws across pentagon distortion'
+    );
+    assert.throws(
+        () => h3core.h3ToLocalIj('8029fffffffffff', '8079fffffffffff'),
+        /Failed to get local IJ coordinates \(cells are too far apart\)/,
+        'throws for cells too far apart'
+    );
+    assert.throws(
+        () => h3core.h3ToLocalIj('8928308280fffff', '8828308281fffff'),
+        /Failed to get local IJ coordinates \(cells have different resolutions\)/,
+        'throws for different resolutions'
+    );
+    assert.end();
+});
+
+test('localIjToH3', assert => {
+    const origin = '8928308280fffff';
+    assert.equal(
+        h3core.localIjToH3(origin, {i: 1120, j: 617}),
+        '8928308280bffff',
+        'Got neighbor from coords'
+    );
+    assert.equal(
+        h3core.localIjToH3('8009fffffffffff', {i: 0, j: 1}),
+        '801ffffffffffff',
+        'Got hexagon next to a pentagon'
+    );
+    h3core.kRing(origin, 3).forEach(h3Index => {
+        assert.equal(
+            h3core.localIjToH3(origin, h3core.h3ToLocalIj(origin, h3Index)),
+            h3Index,
+            'Coordinates round-trip'
+        );
+    });
+    assert.end();
+});
+
+test('localIjToH3 - Invalid', assert => {
+    assert.throws(
+        () => h3core.localIjToH3('8009fffffffffff', {i: -1, j: -1}),
+        /Failed to get hexagon at local IJ coordinates \(pentagon distortion\)/,
+        'throws in the deleted pentagon direction'
+    );
+    assert.throws(
+        () => h3core.localIjToH3('8009fffffffffff', {i: 2, j: 0}),
+        /Failed to get hexagon at local IJ coordinates \(cells are too far apart\)/,
+        'throws for coords too far from the origin'
+    );
+    assert.throws(
+        () => h3core.localIjToH3('8928308280fffff', {i: 0.5, j: 1}),
+        /Invalid local IJ coordinates/,
+        'throws for non-integer coords'
+    );
+    assert.throws(
+        () => h3core.localIjToH3('foo', {i: 0, j: 0}),
+        /Invalid hexagon address/,
+        'throws for invalid origin'
+    );
+    assert.end();
+});
+
 test('polyfill', assert => {
     const hexagons = h3core.polyfill(
         [
@@ -543,100 +875,655 @@ test('polyfill - With Two Holes', assert => {
     assert.end();
 });
 
-test('h3SetToMultiPolygon - Empty', assert => {
-    const h3Addresses = [];
-    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
-
-    assert.deepEqual(multiPolygon, [], 'no hexagons yields an empty array');
-
+const SF_POLYGON_GEOJSON = [
+    [
+        [-122.4089866999972145, 37.813318999983238],
+        [-122.3805436999997056, 37.7866302000007224],
+        [-122.3544736999993603, 37.7198061999978478],
+        [-122.5123436999983966, 37.7076131999975672],
+        [-122.5247187000021967, 37.7835871999971715],
+        [-122.4798767000009008, 37.8151571999998453],
+        [-122.4089866999972145, 37.813318999983238]
+    ]
+];
+
+const OAKLAND_POLYGON_GEOJSON = [
+    [
+        [-122.28, 37.82],
+        [-122.22, 37.82],
+        [-122.22, 37.78],
+        [-122.28, 37.78],
+        [-122.28, 37.82]
+    ]
+];
+
+test('polyfill - Intersecting', assert => {
+    const center = h3core.polyfill(SF_POLYGON_GEOJSON, 7, true);
+    const hexagons = h3core.polyfill(
+        SF_POLYGON_GEOJSON,
+        7,
+        true,
+        h3core.POLYFILL_MODES.intersecting
+    );
+    assert.equal(hexagons.length, 37, 'got an appropriate number of hexagons back');
+    assert.ok(
+        center.every(h3Index => hexagons.indexOf(h3Index) >= 0),
+        'includes all hexagons with centers in the polygon'
+    );
+    assert.equal(new Set(hexagons).size, hexagons.length, 'no duplicate hexagons');
     assert.end();
 });
 
-test('h3SetToMultiPolygon - Single', assert => {
-    const h3Addresses = ['89283082837ffff'];
-    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
-    const vertices = h3core.h3ToGeoBoundary(h3Addresses[0]);
-    // This is tricky, because output in an order starting from any vertex
-    // would also be correct, but that's difficult to assert and there's
-    // value in being specific here
-    const expected = [
-        [[vertices[2], vertices[3], vertices[4], vertices[5], vertices[0], vertices[1]]]
-    ];
-
-    assert.deepEqual(multiPolygon, expected, 'outline matches expected');
-
+test('polyfill - Intersecting, polygon smaller than a hexagon', assert => {
+    const polygon = [[37.775, -122.418], [37.7751, -122.418], [37.7751, -122.4181]];
+    assert.deepEqual(h3core.polyfill(polygon, 5), [], 'no hexagon centers in polygon');
+    assert.deepEqual(
+        h3core.polyfill(polygon, 5, false, h3core.POLYFILL_MODES.intersecting),
+        [h3core.geoToH3(37.775, -122.418, 5)],
+        'got the hexagon containing the polygon'
+    );
     assert.end();
 });
 
-test('h3SetToMultiPolygon - Single GeoJson', assert => {
-    const h3Addresses = ['89283082837ffff'];
-    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses, true);
-    const vertices = h3core.h3ToGeoBoundary(h3Addresses[0], true);
-    // As above, could require an order update later on
-    const expected = [
-        [
-            [
-                vertices[2],
-                vertices[3],
-                vertices[4],
-                vertices[5],
-                vertices[0],
-                vertices[1],
-                vertices[2]
-            ]
-        ]
-    ];
+test('polyfill - Intersecting Transmeridian', assert => {
+    const polygon = [[0.5, 179.5], [0.5, -179.5], [-0.5, -179.5], [-0.5, 179.5]];
+    const hexagons = h3core.polyfill(polygon, 5, false, h3core.POLYFILL_MODES.intersecting);
+    [[0.49, 179.51], [0.49, -179.51], [-0.49, -179.51], [-0.49, 179.51], [0, 180]].forEach(
+        ([lat, lng]) => {
+            assert.ok(
+                hexagons.indexOf(h3core.geoToH3(lat, lng, 5)) >= 0,
+                `includes the hexagon at ${lat}, ${lng}`
+            );
+        }
+    );
+    assert.end();
+});
 
-    assert.deepEqual(multiPolygon, expected, 'outline matches expected');
+test('polyfill - Contained', assert => {
+    const center = h3core.polyfill(SF_POLYGON_GEOJSON, 7, true);
+    const hexagons = h3core.polyfill(SF_POLYGON_GEOJSON, 7, true, h3core.POLYFILL_MODES.contained);
+    assert.equal(hexagons.length, 16, 'got an appropriate number of hexagons back');
+    assert.ok(
+        hexagons.every(h3Index => center.indexOf(h3Index) >= 0),
+        'only includes hexagons with centers in the polygon'
+    );
+    const [minLat, maxLat] = [37.7076131999975672, 37.8151571999998453];
+    assert.ok(
+        hexagons.every(h3Index =>
+            h3core.h3ToGeoBoundary(h3Index).every(([lat]) => lat > minLat && lat < maxLat)
+        ),
+        'hexagon vertices are within the polygon bounds'
+    );
+    assert.end();
+});
 
+test('polyfill - Bad mode', assert => {
+    assert.throws(
+        () => h3core.polyfill(SF_POLYGON_GEOJSON, 7, true, 'foo'),
+        /Unknown polyfill mode: foo/,
+        'throws on unknown mode'
+    );
     assert.end();
 });
 
-test('h3SetToMultiPolygon - Contiguous 2', assert => {
-    // the second hexagon shares v0 and v1 with the first
-    const h3Addresses = ['89283082837ffff', '89283082833ffff'];
-    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
-    const vertices0 = h3core.h3ToGeoBoundary(h3Addresses[0]);
-    const vertices1 = h3core.h3ToGeoBoundary(h3Addresses[1]);
-    // As above: This assert is brittle but worthwhile; it's possible we'll
-    // need to update to a new start vertex if the algo internals are updated
-    const expected = [
-        [
-            [
-                vertices1[0],
-                vertices1[1],
-                vertices1[2],
-                vertices0[1],
-                vertices0[2],
-                vertices0[3],
-                vertices0[4],
-                vertices0[5],
-                vertices1[4],
-                vertices1[5]
-            ]
-        ]
-    ];
+function collectBatches(iterator) {
+    const batches = [];
+    let result = iterator.next();
+    while (!result.done) {
+        batches.push(result.value);
+        result = iterator.next();
+    }
+    return batches;
+}
 
-    assert.deepEqual(multiPolygon, expected, 'outline matches expected');
+test('polyfillBatches', assert => {
+    const polygon = SF_POLYGON_GEOJSON.concat([
+        [[-122.4471197, 37.7869802], [-122.4590777, 37.7664102], [-122.4137097, 37.7710682]]
+    ]);
+    Object.keys(h3core.POLYFILL_MODES).forEach(mode => {
+        const batches = collectBatches(h3core.polyfillBatches(polygon, 9, true, mode, 500));
+        const hexagons = [].concat(...batches);
+        assert.deepEqual(
+            hexagons.slice().sort(),
+            h3core.polyfill(polygon, 9, true, mode).sort(),
+            `Matches polyfill in ${mode} mode`
+        );
+        assert.ok(batches.every(batch => batch.length <= 500), 'Batches are bounded');
+        assert.equal(batches[0].length, 500, 'Batches are full');
+    });
+    assert.end();
+});
 
+test('polyfillBatches - Single Loop', assert => {
+    const loop = SF_POLYGON_GEOJSON[0].map(([lng, lat]) => [lat, lng]);
+    const iterator = h3core.polyfillBatches(loop, 7);
+    assert.equal(iterator[Symbol.iterator](), iterator, 'Is iterable');
+    assert.deepEqual(
+        [].concat(...collectBatches(iterator)).sort(),
+        h3core.polyfill(loop, 7).sort(),
+        'Matches polyfill'
+    );
     assert.end();
 });
 
-test('h3SetToMultiPolygon - Non-contiguous 2', assert => {
-    // the second hexagon does not touch the first
-    const h3Addresses = ['89283082837ffff', '8928308280fffff'];
-    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
-    // TODO: Update to appropriate expectations when the algorithm correctly
-    // returns two polygons
-    assert.equal(multiPolygon.length, 1, 'polygon count matches expected');
-    assert.equal(multiPolygon[0].length, 2, 'loop count matches expected');
-    assert.equal(multiPolygon[0][0].length, 6, 'coord count 1 matches expected');
-    assert.equal(multiPolygon[0][1].length, 6, 'coord count 2 matches expected');
+test('polyfillBatches - Transmeridian', assert => {
+    const polygon = [[10, 170], [10, -170], [-10, -170], [-10, 170]];
+    const hexagons = [].concat(...collectBatches(h3core.polyfillBatches(polygon, 3)));
+    const centers = hexagons.map(h3Index => h3core.h3ToGeo(h3Index));
+    assert.ok(hexagons.length > 0, 'Got hexagons');
+    assert.ok(
+        centers.every(([lat, lng]) => Math.abs(lat) < 10 && Math.abs(lng) > 170),
+        'All centers are in the polygon'
+    );
+    assert.ok(
+        h3core.polyfill(polygon, 3).every(h3Index => hexagons.indexOf(h3Index) >= 0),
+        'Includes the polyfill output'
+    );
+    assert.end();
+});
 
+test('polyfillBatches - Centers on the polygon boundary', assert => {
+    const origin = '8928308280fffff';
+    const ring = h3core.hexRing(origin, 3).map(h3Address => h3core.h3ToGeo(h3Address));
+    const [lat, lng] = h3core.h3ToGeo(origin);
+    const box = [
+        [lat, lng - 0.02],
+        [lat, lng + 0.02],
+        [lat - 0.02, lng + 0.02],
+        [lat - 0.02, lng - 0.02]
+    ];
+    [[ring, 'vertices at hexagon centers'], [box, 'an edge through a hexagon center']].forEach(
+        ([polygon, description]) => {
+            const expected = h3core.polyfill(polygon, 9);
+            assert.deepEqual(
+                [].concat(...collectBatches(h3core.polyfillBatches(polygon, 9))).sort(),
+                expected.slice().sort(),
+                `Matches polyfill with ${description}`
+            );
+            assert.deepEqual(
+                h3core.polyfillCompact(polygon, 9).sort(),
+                h3core.compact(expected).sort(),
+                `Matches compacted polyfill with ${description}`
+            );
+        }
+    );
     assert.end();
 });
 
-test('h3SetToMultiPolygon - Hole', assert => {
+test('polyfillBatches - Hexagons missed by polyfill', assert => {
+    // polyfill only searches a k-ring around the center of the polygon's bounding box,
+    // which doesn't reach some hexagons near the corners of this polygon
+    const polygon = [[10, 170], [10, -170], [-10, -170], [-10, 170]];
+    const hexagons = [].concat(...collectBatches(h3core.polyfillBatches(polygon, 4)));
+    const polyfilled = h3core.polyfill(polygon, 4);
+    const missed = hexagons.filter(h3Address => polyfilled.indexOf(h3Address) < 0);
+    assert.ok(missed.length > 0, 'Returns hexagons polyfill misses');
+    assert.equal(
+        hexagons.length,
+        polyfilled.length + missed.length,
+        'Includes the polyfill output'
+    );
+    assert.ok(
+        missed
+            .map(h3Address => h3core.h3ToGeo(h3Address))
+            .every(([lat, lng]) => Math.abs(lat) < 10 && Math.abs(lng) > 170),
+        'Missed hexagons have centers in the polygon'
+    );
+    assert.deepEqual(
+        h3core.uncompact(h3core.polyfillCompact(polygon, 4), 4).sort(),
+        hexagons.slice().sort(),
+        'polyfillCompact includes the missed hexagons'
+    );
+    assert.end();
+});
+
+test('polyfillBatches - Empty', assert => {
+    assert.deepEqual(collectBatches(h3core.polyfillBatches([], 9)), [], 'No batches');
+    assert.deepEqual(collectBatches(h3core.polyfillBatches([[]], 9)), [], 'No batches');
+    assert.end();
+});
+
+test('polyfillBatches - Errors', assert => {
+    const codes = h3core.H3_ERROR_CODES;
+    [
+        [() => h3core.polyfillBatches(SF_POLYGON_GEOJSON, 16, true), codes.invalidResolution],
+        [() => h3core.polyfillBatches(SF_POLYGON_GEOJSON, 9, true, 'foo'), codes.invalidArgument],
+        [
+            () => h3core.polyfillBatches(SF_POLYGON_GEOJSON, 9, true, undefined, 0),
+            codes.invalidArgument
+        ]
+    ].forEach(([fn, code]) => {
+        const err = getThrownError(fn);
+        assert.equal(err && err.code, code, `Throws ${code}`);
+    });
+    assert.end();
+});
+
+test('polyfillBatches - withIndexFormat', assert => {
+    const h3 = h3core.withIndexFormat(h3core.H3_INDEX_FORMATS.splitLong);
+    const batches = collectBatches(h3.polyfillBatches(SF_POLYGON_GEOJSON, 7, true));
+    assert.deepEqual(
+        []
+            .concat(...batches)
+            .map(([lower, upper]) => h3core.splitLongToH3Address(lower, upper))
+            .sort(),
+        h3core.polyfill(SF_POLYGON_GEOJSON, 7, true).sort(),
+        'Batches are split longs'
+    );
+    assert.end();
+});
+
+test('polyfillCompact', assert => {
+    const polygon = SF_POLYGON_GEOJSON.concat([
+        [[-122.4471197, 37.7869802], [-122.4590777, 37.7664102], [-122.4137097, 37.7710682]]
+    ]);
+    Object.keys(h3core.POLYFILL_MODES).forEach(mode => {
+        assert.deepEqual(
+            h3core.polyfillCompact(polygon, 10, true, mode).sort(),
+            h3core.compact(h3core.polyfill(polygon, 10, true, mode)).sort(),
+            `Matches compacted polyfill in ${mode} mode`
+        );
+    });
+    const loop = SF_POLYGON_GEOJSON[0].map(([lng, lat]) => [lat, lng]);
+    assert.deepEqual(
+        h3core.polyfillCompact(loop, 9).sort(),
+        h3core.compact(h3core.polyfill(loop, 9)).sort(),
+        'Single loop'
+    );
+    assert.deepEqual(h3core.polyfillCompact([], 9), [], 'Empty polygon');
+    assert.end();
+});
+
+test('polyfillCompact - Large polygon', assert => {
+    const polygon = [[45, 5], [45, 10], [40, 10], [40, 5]];
+    const hexagons = h3core.polyfillCompact(polygon, 6);
+    const resolutions = hexagons.map(h3Index => h3core.h3GetResolution(h3Index));
+    assert.ok(Math.min(...resolutions) < 5, 'Includes coarse hexagons');
+    assert.deepEqual(
+        h3core.uncompact(hexagons, 6).sort(),
+        [].concat(...collectBatches(h3core.polyfillBatches(polygon, 6))).sort(),
+        'Uncompacts to the polygon hexagons'
+    );
+    assert.end();
+});
+
+test('polyfillCompact - Errors', assert => {
+    const codes = h3core.H3_ERROR_CODES;
+    let err = getThrownError(() => h3core.polyfillCompact(SF_POLYGON_GEOJSON, 16, true));
+    assert.equal(err && err.code, codes.invalidResolution, 'Throws on invalid res');
+    err = getThrownError(() => h3core.polyfillCompact(SF_POLYGON_GEOJSON, 9, true, 'foo'));
+    assert.equal(err && err.code, codes.invalidArgument, 'Throws on invalid mode');
+    assert.end();
+});
+
+test('polyfillGeoJson - Mode', assert => {
+    const geometry = {type: 'Polygon', coordinates: SF_POLYGON_GEOJSON};
+    assert.equal(
+        h3core.polyfillGeoJson(geometry, 7, h3core.POLYFILL_MODES.intersecting).length,
+        37,
+        'got intersecting hexagons'
+    );
+    assert.equal(
+        h3core.polyfillGeoJson(geometry, 7, h3core.POLYFILL_MODES.contained).length,
+        16,
+        'got contained hexagons'
+    );
+    assert.end();
+});
+
+test('polyfillGeoJson - Polygon', assert => {
+    const hexagons = h3core.polyfillGeoJson({type: 'Polygon', coordinates: SF_POLYGON_GEOJSON}, 9);
+    assert.equal(hexagons.length, 1253, 'got an appropriate number of hexagons back');
+    assert.end();
+});
+
+test('polyfillGeoJson - Feature', assert => {
+    const feature = {
+        type: 'Feature',
+        properties: {},
+        geometry: {type: 'Polygon', coordinates: SF_POLYGON_GEOJSON}
+    };
+    assert.equal(h3core.polyfillGeoJson(feature, 9).length, 1253, 'got expected hexagons');
+    assert.deepEqual(
+        h3core.polyfillGeoJson({type: 'Feature', properties: {}, geometry: null}, 9),
+        [],
+        'got an empty array for a null geometry'
+    );
+    assert.end();
+});
+
+test('polyfillGeoJson - MultiPolygon', assert => {
+    const sfHexagons = h3core.polyfill(SF_POLYGON_GEOJSON, 9, true);
+    const oaklandHexagons = h3core.polyfill(OAKLAND_POLYGON_GEOJSON, 9, true);
+    const hexagons = h3core.polyfillGeoJson(
+        {type: 'MultiPolygon', coordinates: [SF_POLYGON_GEOJSON, OAKLAND_POLYGON_GEOJSON]},
+        9
+    );
+    assert.deepEqual(
+        hexagons.sort(),
+        sfHexagons.concat(oaklandHexagons).sort(),
+        'got hexagons for both polygons'
+    );
+    const overlapping = h3core.polyfillGeoJson(
+        {type: 'MultiPolygon', coordinates: [SF_POLYGON_GEOJSON, SF_POLYGON_GEOJSON]},
+        9
+    );
+    assert.equal(overlapping.length, 1253, 'overlapping polygons are deduped');
+    assert.end();
+});
+
+test('polyfillGeoJson - GeometryCollection', assert => {
+    const hexagons = h3core.polyfillGeoJson(
+        {
+            type: 'GeometryCollection',
+            geometries: [
+                {type: 'Polygon', coordinates: SF_POLYGON_GEOJSON},
+                {type: 'Point', coordinates: [-122.4, 37.8]},
+                {type: 'LineString', coordinates: [[-122.4, 37.8], [-122.3, 37.7]]}
+            ]
+        },
+        9
+    );
+    assert.equal(hexagons.length, 1253, 'got hexagons for the polygon only');
+    assert.end();
+});
+
+test('polyfillGeoJson - FeatureCollection', assert => {
+    const result = h3core.polyfillGeoJson(
+        {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    id: 'sf',
+                    properties: {},
+                    geometry: {type: 'Polygon', coordinates: SF_POLYGON_GEOJSON}
+                },
+                {
+                    type: 'Feature',
+                    properties: {},
+                    geometry: {type: 'Polygon', coordinates: OAKLAND_POLYGON_GEOJSON}
+                }
+            ]
+        },
+        9
+    );
+    assert.deepEqual(Object.keys(result).sort(), ['1', 'sf'], 'keyed by id or index');
+    assert.equal(result.sf.length, 1253, 'got expected hexagons for feature with id');
+    assert.deepEqual(
+        result[1],
+        h3core.polyfill(OAKLAND_POLYGON_GEOJSON, 9, true),
+        'got expected hexagons for feature without id'
+    );
+    assert.end();
+});
+
+test('polyfillGeoJson - withIndexFormat', assert => {
+    const h3 = h3core.withIndexFormat(h3core.H3_INDEX_FORMATS.splitLong);
+    const result = h3.polyfillGeoJson(
+        {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    id: 'oakland',
+                    properties: {},
+                    geometry: {type: 'Polygon', coordinates: OAKLAND_POLYGON_GEOJSON}
+                }
+            ]
+        },
+        7
+    );
+    assert.deepEqual(
+        result.oakland,
+        h3core.polyfill(OAKLAND_POLYGON_GEOJSON, 7, true).map(h3core.h3AddressToSplitLong),
+        'got split long output for feature'
+    );
+    assert.end();
+});
+
+test('polyfillGeoJson - Invalid', assert => {
+    assert.throws(
+        () => h3core.polyfillGeoJson({type: 'Circle', coordinates: []}, 9),
+        /Unsupported GeoJSON type: Circle/,
+        'throws on unknown type'
+    );
+    assert.throws(
+        () => h3core.polyfillGeoJson({type: 'Polygon', coordinates: SF_POLYGON_GEOJSON}, 42),
+        /Invalid resolution/,
+        'throws on invalid resolution'
+    );
+    assert.end();
+});
+
+const ROUTE_GEOJSON = {
+    type: 'LineString',
+    coordinates: [[-122.418, 37.775], [-122.4, 37.79], [-122.39, 37.77]]
+};
+
+test('lineToH3', assert => {
+    const hexagons = h3core.lineToH3(ROUTE_GEOJSON, 9);
+    assert.equal(hexagons.length, 19, 'got an appropriate number of hexagons back');
+    assert.equal(new Set(hexagons).size, hexagons.length, 'no duplicate hexagons');
+    const [start, middle, end] = ROUTE_GEOJSON.coordinates;
+    for (let i = 0; i <= 100; i++) {
+        const t = i / 100;
+        const lat = start[1] + (middle[1] - start[1]) * t;
+        const lng = start[0] + (middle[0] - start[0]) * t;
+        assert.ok(
+            hexagons.indexOf(h3core.geoToH3(lat, lng, 9)) >= 0,
+            'includes hexagons along the path'
+        );
+    }
+    assert.ok(hexagons.indexOf(h3core.geoToH3(end[1], end[0], 9)) >= 0, 'includes the end');
+    assert.end();
+});
+
+test('lineToH3 - MultiLineString Feature', assert => {
+    const [start, middle, end] = ROUTE_GEOJSON.coordinates;
+    const feature = {
+        type: 'Feature',
+        geometry: {type: 'MultiLineString', coordinates: [[start, middle], [middle, end]]}
+    };
+    assert.deepEqual(
+        h3core.lineToH3(feature, 9).sort(),
+        h3core.lineToH3(ROUTE_GEOJSON, 9).sort(),
+        'got the same hexagons as the equivalent LineString'
+    );
+    assert.end();
+});
+
+test('lineToH3 - Single point', assert => {
+    assert.deepEqual(
+        h3core.lineToH3({type: 'LineString', coordinates: [[-122.418, 37.775]]}, 9),
+        [h3core.geoToH3(37.775, -122.418, 9)],
+        'got the hexagon containing the point'
+    );
+    assert.end();
+});
+
+test('lineToH3 - Transmeridian', assert => {
+    const hexagons = h3core.lineToH3(
+        {type: 'LineString', coordinates: [[179.9, 0], [-179.9, 0.1]]},
+        7
+    );
+    assert.ok(
+        hexagons.every(h3Index => Math.abs(h3core.h3ToGeo(h3Index)[1]) > 179.8),
+        'path takes the short way across the antimeridian'
+    );
+    assert.ok(hexagons.indexOf(h3core.geoToH3(0.05, 180, 7)) >= 0, 'includes the crossing');
+    assert.end();
+});
+
+test('lineToH3 - Buffer steps', assert => {
+    const path = h3core.lineToH3(ROUTE_GEOJSON, 9);
+    const hexagons = h3core.lineToH3(ROUTE_GEOJSON, 9, {bufferSteps: 1});
+    const expected = new Set();
+    path.forEach(h3Index => h3core.kRing(h3Index, 1).forEach(ringIndex => expected.add(ringIndex)));
+    assert.deepEqual(hexagons.sort(), Array.from(expected).sort(), 'got the k-ring of the path');
+    assert.end();
+});
+
+test('lineToH3 - Buffer meters', assert => {
+    const path = h3core.lineToH3(ROUTE_GEOJSON, 9);
+    const hexagons = h3core.lineToH3(ROUTE_GEOJSON, 9, {bufferMeters: 200});
+    assert.equal(hexagons.length, 37, 'got an appropriate number of hexagons back');
+    assert.ok(
+        path.every(h3Index => hexagons.indexOf(h3Index) >= 0),
+        'includes the hexagons along the path'
+    );
+    // About 500m and 100m away from the middle of the first segment
+    assert.ok(
+        hexagons.indexOf(h3core.geoToH3(37.78576, -122.41292, 9)) < 0,
+        'excludes hexagons outside the buffer'
+    );
+    assert.ok(
+        hexagons.indexOf(h3core.geoToH3(37.78315, -122.40978, 9)) >= 0,
+        'includes hexagons inside the buffer'
+    );
+    assert.end();
+});
+
+test('lineToH3 - Buffer meters near a pentagon', assert => {
+    const pentagon = h3core.encodeH3Address({resolution: 6, baseCell: 4});
+    const [lat, lng] = h3core.h3ToGeo(pentagon);
+    const line = {type: 'LineString', coordinates: [[lng, lat], [lng + 0.05, lat + 0.05]]};
+    const meters = 60000;
+    const hexagons = h3core.lineToH3(line, 6, {bufferMeters: meters});
+    const missing = h3core
+        .kRing(pentagon, 30)
+        .filter(
+            h3Index =>
+                h3core.pointDistance(h3core.h3ToGeo(h3Index), [lat, lng], h3core.UNITS.m) <=
+                    meters && hexagons.indexOf(h3Index) < 0
+        );
+    assert.deepEqual(missing, [], 'includes every hexagon centered within the buffer');
+    assert.end();
+});
+
+test('lineToH3 - Invalid', assert => {
+    assert.throws(
+        () => h3core.lineToH3({type: 'Polygon', coordinates: []}, 9),
+        /Unsupported GeoJSON type: Polygon/,
+        'throws on unsupported type'
+    );
+    assert.throws(
+        () => h3core.lineToH3(ROUTE_GEOJSON, 9, {bufferSteps: -1}),
+        /Invalid buffer steps/,
+        'throws on negative buffer steps'
+    );
+    assert.throws(
+        () => h3core.lineToH3(ROUTE_GEOJSON, 9, {bufferMeters: 'foo'}),
+        /Invalid buffer meters/,
+        'throws on invalid buffer meters'
+    );
+    assert.throws(
+        () => h3core.lineToH3(ROUTE_GEOJSON, 9, {bufferSteps: 1, bufferMeters: 100}),
+        /Only one of bufferSteps and bufferMeters/,
+        'throws with both buffers'
+    );
+    assert.throws(
+        () => h3core.lineToH3(ROUTE_GEOJSON, 16),
+        /Invalid resolution/,
+        'throws on bad res'
+    );
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Empty', assert => {
+    const h3Addresses = [];
+    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
+
+    assert.deepEqual(multiPolygon, [], 'no hexagons yields an empty array');
+
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Single', assert => {
+    const h3Addresses = ['89283082837ffff'];
+    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
+    const vertices = h3core.h3ToGeoBoundary(h3Addresses[0]);
+    // This is tricky, because output in an order starting from any vertex
+    // would also be correct, but that's difficult to assert and there's
+    // value in being specific here
+    const expected = [
+        [[vertices[2], vertices[3], vertices[4], vertices[5], vertices[0], vertices[1]]]
+    ];
+
+    assert.deepEqual(multiPolygon, expected, 'outline matches expected');
+
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Single GeoJson', assert => {
+    const h3Addresses = ['89283082837ffff'];
+    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses, true);
+    const vertices = h3core.h3ToGeoBoundary(h3Addresses[0], true);
+    // As above, could require an order update later on
+    const expected = [
+        [
+            [
+                vertices[2],
+                vertices[3],
+                vertices[4],
+                vertices[5],
+                vertices[0],
+                vertices[1],
+                vertices[2]
+            ]
+        ]
+    ];
+
+    assert.deepEqual(multiPolygon, expected, 'outline matches expected');
+
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Contiguous 2', assert => {
+    // the second hexagon shares v0 and v1 with the first
+    const h3Addresses = ['89283082837ffff', '89283082833ffff'];
+    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
+    const vertices0 = h3core.h3ToGeoBoundary(h3Addresses[0]);
+    const vertices1 = h3core.h3ToGeoBoundary(h3Addresses[1]);
+    // As above: This assert is brittle but worthwhile; it's possible we'll
+    // need to update to a new start vertex if the algo internals are updated
+    const expected = [
+        [
+            [
+                vertices1[0],
+                vertices1[1],
+                vertices1[2],
+                vertices0[1],
+                vertices0[2],
+                vertices0[3],
+                vertices0[4],
+                vertices0[5],
+                vertices1[4],
+                vertices1[5]
+            ]
+        ]
+    ];
+
+    assert.deepEqual(multiPolygon, expected, 'outline matches expected');
+
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Non-contiguous 2', assert => {
+    // the second hexagon does not touch the first
+    const h3Addresses = ['89283082837ffff', '8928308280fffff'];
+    const multiPolygon = h3core.h3SetToMultiPolygon(h3Addresses);
+    // TODO: Update to appropriate expectations when the algorithm correctly
+    // returns two polygons
+    assert.equal(multiPolygon.length, 1, 'polygon count matches expected');
+    assert.equal(multiPolygon[0].length, 2, 'loop count matches expected');
+    assert.equal(multiPolygon[0][0].length, 6, 'coord count 1 matches expected');
+    assert.equal(multiPolygon[0][1].length, 6, 'coord count 2 matches expected');
+
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Hole', assert => {
     // Six hexagons in a ring around a hole
     const h3Addresses = [
         '892830828c7ffff',
@@ -702,29 +1589,142 @@ test('h3SetToMultiPolygon - kRing', assert => {
     assert.end();
 });
 
-test('compact and uncompact', assert => {
-    const hexagons = h3core.polyfill(
-        [
-            [
-                [37.813318999983238, -122.4089866999972145],
-                [37.7866302000007224, -122.3805436999997056],
-                [37.7198061999978478, -122.3544736999993603],
-                [37.7076131999975672, -122.5123436999983966],
-                [37.7835871999971715, -122.5247187000021967],
-                [37.8151571999998453, -122.4798767000009008]
-            ]
-        ],
-        9
-    );
-    const compactedHexagons = h3core.compact(hexagons);
-    assert.equal(compactedHexagons.length, 209, 'got an appropriate number of hexagons back');
-    const uncompactedHexagons = h3core.uncompact(compactedHexagons, 9);
-    assert.equal(uncompactedHexagons.length, 1253, 'got an appropriate number of hexagons back');
+test('h3SetToMultiPolygon - Antimeridian', assert => {
+    const hexagons = h3core.kRing(ANTIMERIDIAN_HEXAGON, 2);
+    const multiPolygon = h3core.h3SetToMultiPolygon(hexagons, true);
+    assert.equal(multiPolygon.length, 2, 'Got a polygon on each side of the antimeridian');
+    const [west, east] = multiPolygon.map(polygon => polygon[0]);
+    assert.ok(west.every(([lng]) => lng > 177 && lng <= 180), 'West polygon is in range');
+    assert.ok(east.every(([lng]) => lng < -177 && lng >= -180), 'East polygon is in range');
+    assert.deepEqual(west[0], west[west.length - 1], 'Got closed loops');
+    assert.ok(west.some(([lng]) => lng === 180), 'West polygon is cut at 180');
+    assert.ok(east.some(([lng]) => lng === -180), 'East polygon is cut at -180');
     assert.end();
 });
 
-test('compact - Empty', assert => {
-    assert.deepEqual(h3core.compact(), [], 'got an empty array for an undefined input');
+test('h3SetToMultiPolygon - Antimeridian, not GeoJson', assert => {
+    const hexagons = h3core.kRing(ANTIMERIDIAN_HEXAGON, 2);
+    const geoJson = h3core.h3SetToMultiPolygon(hexagons, true);
+    const latLngs = h3core.h3SetToMultiPolygon(hexagons);
+    const toLatLngLoop = loop => loop.slice(0, -1).map(([lng, lat]) => [lat, lng]);
+    assert.deepEqual(
+        latLngs,
+        geoJson.map(polygon => polygon.map(toLatLngLoop)),
+        'Got the same polygons as [lat, lng] pairs'
+    );
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Antimeridian hole', assert => {
+    const multiPolygon = h3core.h3SetToMultiPolygon(h3core.hexRing(ANTIMERIDIAN_HEXAGON, 2), true);
+    assert.equal(multiPolygon.length, 2, 'Ring is cut into two polygons');
+    assert.deepEqual(
+        multiPolygon.map(polygon => polygon.length),
+        [1, 1],
+        'Hole is opened up by the cuts'
+    );
+    assert.end();
+});
+
+test('h3SetToMultiPolygon - Pole', assert => {
+    const multiPolygon = h3core.h3SetToMultiPolygon(
+        h3core.kRing(h3core.geoToH3(90, 0, 2), 1),
+        true
+    );
+    assert.equal(multiPolygon.length, 1, 'Got a single polygon');
+    const loop = multiPolygon[0][0];
+    assert.ok(loop.every(([lng]) => lng >= -180 && lng <= 180), 'Longitudes are in range');
+    assert.deepEqual(
+        loop.filter(([, lat]) => lat === 90),
+        [[180, 90], [-180, 90]],
+        'Closed at the pole'
+    );
+    assert.end();
+});
+
+test('h3SetToFeatureCollection', assert => {
+    const hexagons = ['89283082837ffff', '89283082833ffff'];
+    const featureCollection = h3core.h3SetToFeatureCollection(hexagons);
+    assert.equal(featureCollection.type, 'FeatureCollection', 'got a FeatureCollection');
+    assert.equal(featureCollection.features.length, 2, 'got a feature for each hexagon');
+    featureCollection.features.forEach((feature, i) => {
+        assert.equal(feature.id, hexagons[i], 'feature id is the hexagon address');
+        assert.deepEqual(feature.properties, {}, 'feature properties are empty');
+        assert.deepEqual(
+            feature.geometry,
+            {type: 'Polygon', coordinates: [h3core.h3ToGeoBoundary(hexagons[i], true)]},
+            'feature geometry is the hexagon boundary'
+        );
+    });
+    assert.end();
+});
+
+test('h3SetToFeatureCollection - Properties', assert => {
+    const fromObject = h3core.h3SetToFeatureCollection({
+        '89283082837ffff': {count: 1},
+        '89283082833ffff': {count: 2}
+    });
+    assert.deepEqual(
+        fromObject.features.map(feature => [feature.id, feature.properties]),
+        [['89283082837ffff', {count: 1}], ['89283082833ffff', {count: 2}]],
+        'got properties from object input'
+    );
+    const properties = {count: 3};
+    const fromMap = h3core.h3SetToFeatureCollection(new Map([['89283082837ffff', properties]]), {
+        resolution: true
+    });
+    assert.deepEqual(
+        fromMap.features[0].properties,
+        {count: 3, resolution: 9},
+        'got properties and resolution from Map input'
+    );
+    assert.deepEqual(properties, {count: 3}, 'input properties are not modified');
+    assert.end();
+});
+
+test('h3SetToFeatureCollection - Centroids', assert => {
+    const featureCollection = h3core.h3SetToFeatureCollection(['89283082837ffff'], {
+        centroids: true
+    });
+    const [lat, lng] = h3core.h3ToGeo('89283082837ffff');
+    assert.deepEqual(
+        featureCollection.features[0].geometry,
+        {type: 'Point', coordinates: [lng, lat]},
+        'got center as a GeoJSON Point'
+    );
+    assert.end();
+});
+
+test('h3SetToFeatureCollection - Empty', assert => {
+    const empty = {type: 'FeatureCollection', features: []};
+    assert.deepEqual(h3core.h3SetToFeatureCollection([]), empty, 'empty array input');
+    assert.deepEqual(h3core.h3SetToFeatureCollection(), empty, 'undefined input');
+    assert.end();
+});
+
+test('compact and uncompact', assert => {
+    const hexagons = h3core.polyfill(
+        [
+            [
+                [37.813318999983238, -122.4089866999972145],
+                [37.7866302000007224, -122.3805436999997056],
+                [37.7198061999978478, -122.3544736999993603],
+                [37.7076131999975672, -122.5123436999983966],
+                [37.7835871999971715, -122.5247187000021967],
+                [37.8151571999998453, -122.4798767000009008]
+            ]
+        ],
+        9
+    );
+    const compactedHexagons = h3core.compact(hexagons);
+    assert.equal(compactedHexagons.length, 209, 'got an appropriate number of hexagons back');
+    const uncompactedHexagons = h3core.uncompact(compactedHexagons, 9);
+    assert.equal(uncompactedHexagons.length, 1253, 'got an appropriate number of hexagons back');
+    assert.end();
+});
+
+test('compact - Empty', assert => {
+    assert.deepEqual(h3core.compact(), [], 'got an empty array for an undefined input');
     assert.deepEqual(h3core.compact(null), [], 'got an empty array for a falsy input');
     assert.deepEqual(h3core.compact([]), [], 'got an empty array for an empty input');
     assert.deepEqual(h3core.compact({}), [], 'got an empty array for an invalid input');
@@ -760,6 +1760,193 @@ test('compact - Invalid', assert => {
     assert.end();
 });
 
+test('compact - Normalize', assert => {
+    const hexagons = h3core.polyfill(SF_POLYGON_GEOJSON, 9, true);
+    const compacted = h3core.compact(hexagons);
+    const messy = compacted
+        .concat(hexagons.slice(0, 100))
+        .concat(hexagons.slice(0, 50))
+        .concat(h3core.uncompact(compacted.slice(0, 3), 10))
+        .concat([h3core.h3AddressToSplitLong(compacted[0])]);
+    assert.deepEqual(
+        h3core.compact(messy, {normalize: true}).sort(),
+        compacted.slice().sort(),
+        'Drops duplicates and hexagons inside others'
+    );
+    assert.deepEqual(
+        h3core.compact(hexagons, {normalize: true}).sort(),
+        compacted.slice().sort(),
+        'Matches compact for valid input'
+    );
+    const parent = '85283473fffffff';
+    const mixed = h3core
+        .h3ToChildren(parent, 6)
+        .slice(1)
+        .concat(h3core.h3ToChildren(h3core.h3ToChildren(parent, 6)[0], 7));
+    assert.deepEqual(
+        h3core.compact(mixed, {normalize: true}),
+        [parent],
+        'Compacts across resolutions'
+    );
+    const pentagon = '821c07fffffffff';
+    assert.deepEqual(
+        h3core.compact(h3core.h3ToChildren(pentagon, 4), {normalize: true}),
+        [pentagon],
+        'Compacts pentagon children'
+    );
+    const err = getThrownError(() => h3core.compact(['8928308280fffff', 'zzz'], {normalize: true}));
+    assert.equal(err && err.code, h3core.H3_ERROR_CODES.invalidCell, 'Throws on invalid hexagon');
+    assert.end();
+});
+
+test('h3SetUnion, h3SetIntersection, h3SetDifference, h3SetSymmetricDifference', assert => {
+    const shifted = [SF_POLYGON_GEOJSON[0].map(([lng, lat]) => [lng + 0.05, lat + 0.01])];
+    const setA = h3core.compact(h3core.polyfill(SF_POLYGON_GEOJSON, 8, true));
+    const setB = h3core.compact(h3core.polyfill(shifted, 9, true));
+    const cellsA = new Set(h3core.uncompact(setA, 9));
+    const cellsB = new Set(h3core.uncompact(setB, 9));
+    const allCells = Array.from(new Set(Array.from(cellsA).concat(Array.from(cellsB))));
+    const expected = filter => h3core.compact(allCells.filter(filter)).sort();
+    assert.deepEqual(
+        h3core.h3SetUnion(setA, setB).sort(),
+        expected(() => true),
+        'Got expected union'
+    );
+    assert.deepEqual(
+        h3core.h3SetIntersection(setA, setB).sort(),
+        expected(h3Address => cellsA.has(h3Address) && cellsB.has(h3Address)),
+        'Got expected intersection'
+    );
+    assert.deepEqual(
+        h3core.h3SetDifference(setA, setB).sort(),
+        expected(h3Address => !cellsB.has(h3Address)),
+        'Got expected difference'
+    );
+    assert.deepEqual(
+        h3core.h3SetSymmetricDifference(setA, setB).sort(),
+        expected(h3Address => cellsA.has(h3Address) !== cellsB.has(h3Address)),
+        'Got expected symmetric difference'
+    );
+    assert.end();
+});
+
+test('h3SetDifference - Mixed resolutions', assert => {
+    const parent = '85283473fffffff';
+    const grandchild = h3core.h3ToChildren(parent, 7)[10];
+    const difference = h3core.h3SetDifference([parent], [grandchild]);
+    assert.equal(difference.length, 12, 'Splits only the hexagons containing the hole');
+    assert.deepEqual(
+        h3core.h3SetUnion(difference, [grandchild]),
+        [parent],
+        'Difference and subtrahend compact back to the parent'
+    );
+    assert.deepEqual(
+        h3core.h3SetIntersection([parent], [grandchild, '8928308280fffff']),
+        [grandchild],
+        'Intersection keeps the finer hexagon'
+    );
+    const pentagon = '821c07fffffffff';
+    const pentagonChild = h3core.h3ToChildren(pentagon, 3)[0];
+    assert.equal(
+        h3core.h3SetDifference([pentagon], [pentagonChild]).length,
+        5,
+        'Splits pentagons into their children'
+    );
+    assert.deepEqual(h3core.h3SetDifference([grandchild], [parent]), [], 'Subtracts ancestors');
+    assert.end();
+});
+
+test('h3SetUnion, h3SetIntersection, h3SetDifference - Empty and invalid', assert => {
+    const parent = '85283473fffffff';
+    assert.deepEqual(h3core.h3SetUnion([], null), [], 'Union of empty sets is empty');
+    assert.deepEqual(h3core.h3SetUnion([parent], []), [parent], 'Union with an empty set');
+    assert.deepEqual(h3core.h3SetIntersection([parent], []), [], 'Intersection with an empty set');
+    assert.deepEqual(h3core.h3SetDifference([parent], []), [parent], 'Difference of an empty set');
+    assert.deepEqual(
+        h3core.h3SetSymmetricDifference([parent], [parent]),
+        [],
+        'Symmetric difference of equal sets is empty'
+    );
+    const err = getThrownError(() => h3core.h3SetUnion([parent], ['zzz']));
+    assert.equal(err && err.code, h3core.H3_ERROR_CODES.invalidCell, 'Throws on invalid hexagon');
+    assert.end();
+});
+
+test('H3CellSet', assert => {
+    const cells = new h3core.H3CellSet(['8928308280fffff', '8928308280bffff']);
+    assert.equal(cells.size, 2, 'Got expected size');
+    cells.add(h3core.h3AddressToSplitLong('8928308280fffff')).add('85283473fffffff');
+    assert.equal(cells.size, 3, 'Adding an existing hexagon in another format is a no-op');
+    assert.ok(cells.has('8928308280bffff'), 'Has an added hexagon');
+    assert.notOk(cells.has('89283082807ffff'), 'Does not have a hexagon that was not added');
+    assert.deepEqual(
+        Array.from(cells).sort(),
+        ['85283473fffffff', '8928308280bffff', '8928308280fffff'],
+        'Iterates over the hexagons as strings'
+    );
+    assert.ok(cells.remove('8928308280bffff'), 'Removes a hexagon in the set');
+    assert.notOk(cells.remove('8928308280bffff'), 'Does not remove a hexagon not in the set');
+    assert.equal(cells.size, 2, 'Size is updated on remove');
+    assert.deepEqual(
+        cells.toArray().sort(),
+        ['85283473fffffff', '8928308280fffff'],
+        'Got expected array'
+    );
+    const err = getThrownError(() => cells.add('zzz'));
+    assert.equal(err && err.code, h3core.H3_ERROR_CODES.invalidCell, 'Throws on invalid hexagon');
+    assert.end();
+});
+
+test('H3CellSet - containsCell and containsPoint', assert => {
+    const parent = '85283473fffffff';
+    const cells = new h3core.H3CellSet([parent, '8928308280fffff']);
+    assert.ok(cells.containsCell(parent), 'Contains a hexagon in the set');
+    assert.ok(cells.containsCell(h3core.h3ToChildren(parent, 9)[100]), 'Contains a descendant');
+    assert.ok(
+        cells.containsCell(h3core.h3ToChildren('8928308280fffff', 15)[0]),
+        'Contains a descendant at res 15'
+    );
+    assert.notOk(cells.containsCell(h3core.h3ToParent(parent, 4)), 'Does not contain an ancestor');
+    assert.notOk(cells.containsCell('8928308280bffff'), 'Does not contain a neighbor');
+    assert.notOk(cells.containsCell('zzz'), 'Does not contain an invalid hexagon');
+    const [lat, lng] = h3core.h3ToGeo(h3core.h3ToChildren(parent, 7)[20]);
+    assert.ok(cells.containsPoint(lat, lng), 'Contains a point in a hexagon');
+    assert.ok(
+        cells.containsPoint(...h3core.h3ToGeo('8928308280fffff')),
+        'Contains a fine hexagon center'
+    );
+    assert.notOk(cells.containsPoint(0, 0), 'Does not contain a point outside the set');
+    cells.remove(parent);
+    assert.notOk(cells.containsPoint(lat, lng), 'Does not contain a point after removal');
+    assert.end();
+});
+
+test('H3CellSet - Compacted arrays', assert => {
+    const hexagons = h3core.polyfill(SF_POLYGON_GEOJSON, 9, true);
+    const compacted = h3core.compact(hexagons);
+    const cells = h3core.H3CellSet.fromCompactedArray(compacted);
+    assert.equal(cells.size, compacted.length, 'Holds the compacted hexagons');
+    assert.ok(
+        hexagons.every(h3Address => cells.containsCell(h3Address)),
+        'Contains every uncompacted hexagon'
+    );
+    assert.deepEqual(
+        cells.toCompactedArray().sort(),
+        compacted.slice().sort(),
+        'Converts back to the compacted array'
+    );
+    const uncompacted = h3core.H3CellSet.fromCompactedArray(compacted, 9);
+    assert.equal(uncompacted.size, hexagons.length, 'Uncompacts to the given resolution');
+    uncompacted.add(compacted[0]);
+    assert.deepEqual(
+        uncompacted.toCompactedArray().sort(),
+        compacted.slice().sort(),
+        'Compacts hexagons of mixed resolutions'
+    );
+    assert.deepEqual(new h3core.H3CellSet().toCompactedArray(), [], 'Empty set compacts to empty');
+    assert.end();
+});
+
 test('uncompact - Invalid', assert => {
     const hexagons = [h3core.geoToH3(37.3615593, -122.0553238, 10)];
     assert.throws(
@@ -824,9 +2011,15 @@ test('h3ToParent', assert => {
 test('h3ToParent - Invalid', assert => {
     const h3Address = '8928308280fffff';
 
-    assert.equals(h3core.h3ToParent(h3Address, 10), null, 'Finer resolution returns null');
-    assert.equals(h3core.h3ToParent(h3Address, -1), null, 'Invalid resolution returns null');
-    assert.equals(h3core.h3ToParent('foo', 10), null, 'Invalid address returns null');
+    const codes = h3core.H3_ERROR_CODES;
+    [
+        [() => h3core.h3ToParent(h3Address, 10), codes.invalidResolution, 'finer resolution'],
+        [() => h3core.h3ToParent(h3Address, -1), codes.invalidResolution, 'invalid resolution'],
+        [() => h3core.h3ToParent('foo', 10), codes.invalidCell, 'invalid address']
+    ].forEach(([fn, code, description]) => {
+        const err = getThrownError(fn);
+        assert.equal(err && err.code, code, `Throws ${code} for ${description}`);
+    });
 
     assert.end();
 });
@@ -843,12 +2036,28 @@ test('h3ToChildren', assert => {
         [h3Address],
         'Same resolution returns self'
     );
-    assert.deepEqual(
-        h3core.h3ToChildren(h3Address, 6),
-        [],
-        'Coarser resolution returns empty array'
-    );
 
+    const codes = h3core.H3_ERROR_CODES;
+    [
+        [() => h3core.h3ToChildren(h3Address, 6), codes.invalidResolution, 'coarser resolution'],
+        [() => h3core.h3ToChildren(h3Address, 16), codes.invalidResolution, 'invalid resolution'],
+        [() => h3core.h3ToChildren('foo', 8), codes.invalidCell, 'invalid address']
+    ].forEach(([fn, code, description]) => {
+        const err = getThrownError(fn);
+        assert.equal(err && err.code, code, `Throws ${code} for ${description}`);
+    });
+
+    assert.end();
+});
+
+test('h3ToChildren - too large', assert => {
+    [11, 12, 15].forEach(res => {
+        const err = getThrownError(() => h3core.h3ToChildren('8001fffffffffff', res));
+        assert.ok(
+            err instanceof h3core.H3Error && err.code === h3core.H3_ERROR_CODES.allocationTooLarge,
+            `throws allocation error for res ${res} children of a res 0 hexagon`
+        );
+    });
     assert.end();
 });
 
@@ -918,29 +2127,24 @@ test('getH3UnidirectionalEdge', assert => {
         'Got expected edge for adjacent hexagons'
     );
 
-    assert.equal(
-        h3core.getH3UnidirectionalEdge(origin, notAdjacent),
-        null,
-        'Got null for non-adjacent hexagons'
-    );
-
-    assert.equal(
-        h3core.getH3UnidirectionalEdge(origin, origin),
-        null,
-        'Got null for same hexagons'
-    );
-
-    assert.equal(
-        h3core.getH3UnidirectionalEdge(origin, 'foo'),
-        null,
-        'Got null for invalid destination'
-    );
-
-    assert.equal(
-        h3core.getH3UnidirectionalEdge('bar', 'foo'),
-        null,
-        'Got null for invalid hexagons'
-    );
+    const codes = h3core.H3_ERROR_CODES;
+    [
+        [
+            () => h3core.getH3UnidirectionalEdge(origin, notAdjacent),
+            codes.notNeighbors,
+            'non-adjacent hexagons'
+        ],
+        [() => h3core.getH3UnidirectionalEdge(origin, origin), codes.notNeighbors, 'same hexagons'],
+        [
+            () => h3core.getH3UnidirectionalEdge(origin, 'foo'),
+            codes.invalidCell,
+            'invalid destination'
+        ],
+        [() => h3core.getH3UnidirectionalEdge('bar', 'foo'), codes.invalidCell, 'invalid hexagons']
+    ].forEach(([fn, code, description]) => {
+        const err = getThrownError(fn);
+        assert.equal(err && err.code, code, `Throws ${code} for ${description}`);
+    });
 
     assert.end();
 });
@@ -1160,6 +2364,109 @@ test('hexArea - bad units', assert => {
     assert.end();
 });
 
+test('cellArea', assert => {
+    const expectedAreas = [
+        // [hexagon, m2] from the H3 core library
+        ['8928308280fffff', 109398.18864659473],
+        ['85283473fffffff', 265092558.12827423],
+        // pentagon
+        ['830800fffffffff', 6315472247.21296]
+    ];
+    expectedAreas.forEach(([h3Index, expected]) => {
+        const result = h3core.cellArea(h3Index, h3core.UNITS.m2);
+        assert.ok(
+            almostEqual(result, expected, 1e-8),
+            `Got expected area in m2 for ${h3Index}: ${result}`
+        );
+        assert.ok(
+            almostEqual(h3core.cellArea(h3Index, h3core.UNITS.km2), expected / 1e6, 1e-8),
+            `Got expected area in km2 for ${h3Index}`
+        );
+    });
+
+    assert.ok(
+        almostEqual(
+            h3core.cellArea('8928308280fffff', h3core.UNITS.rads2),
+            2.6952182709861805e-9,
+            1e-8
+        ),
+        'Got expected area in rads2'
+    );
+
+    assert.end();
+});
+
+test('cellArea - near average', assert => {
+    for (let res = 0; res < 16; res++) {
+        const h3Index = h3core.geoToH3(37.3615593, -122.0553238, res);
+        const ratio = h3core.cellArea(h3Index, h3core.UNITS.km2) / h3core.hexArea(res, 'km2');
+        assert.ok(ratio > 0.5 && ratio < 1.5, `Area close to average at res ${res}: ${ratio}`);
+    }
+    assert.end();
+});
+
+test('cellArea - all res 0 and 1 cells', assert => {
+    const res0 = [];
+    for (let baseCell = 0; baseCell < 122; baseCell++) {
+        res0.push(h3core.encodeH3Address({resolution: 0, baseCell}));
+    }
+    const res1 = h3core.uncompact(res0, 1);
+    const invalid = res0.concat(res1).filter(h3Index => {
+        const area = h3core.cellArea(h3Index, h3core.UNITS.rads2);
+        return !Number.isFinite(area) || area <= 0;
+    });
+    assert.deepEqual(invalid, [], 'Every cell has a finite, positive area');
+    assert.ok(
+        almostEqual(h3core.h3SetArea(res1, h3core.UNITS.rads2), 4 * Math.PI, 1e-6),
+        'Res 1 cells cover the sphere'
+    );
+    assert.end();
+});
+
+test('cellArea - errors', assert => {
+    assert.throws(() => h3core.cellArea('8928308280fffff'), /Unknown/, 'throws on missing unit');
+    assert.throws(
+        () => h3core.cellArea('8928308280fffff', h3core.UNITS.km),
+        /Unknown/,
+        'throws on invalid unit'
+    );
+    assert.throws(
+        () => h3core.cellArea('foo', h3core.UNITS.m2),
+        /Invalid/,
+        'throws on invalid hexagon'
+    );
+    assert.end();
+});
+
+test('h3SetArea', assert => {
+    const parent = '85283473fffffff';
+    const children = h3core.h3ToChildren(parent, 7);
+    const childArea = h3core.h3SetArea(children, h3core.UNITS.km2);
+    const parentArea = h3core.cellArea(parent, h3core.UNITS.km2);
+    assert.ok(
+        almostEqual(childArea, parentArea, 0.05),
+        `Children cover about the area of the parent: ${childArea}, ${parentArea}`
+    );
+
+    const hexagons = ['8928308280fffff', '8928308280bffff'];
+    assert.ok(
+        almostEqual(
+            h3core.h3SetArea(hexagons, h3core.UNITS.m2),
+            h3core.cellArea(hexagons[0], h3core.UNITS.m2) +
+                h3core.cellArea(hexagons[1], h3core.UNITS.m2)
+        ),
+        'Set area is the sum of the cell areas'
+    );
+    assert.equal(h3core.h3SetArea([], h3core.UNITS.m2), 0, 'Empty set has no area');
+    assert.throws(
+        () => h3core.h3SetArea([], 'foo'),
+        /Unknown/,
+        'throws on unknown unit, even for an empty set'
+    );
+
+    assert.end();
+});
+
 test('hexArea - bad resolution', assert => {
     assert.throws(
         () => h3core.hexArea(42, h3core.UNITS.m2),
@@ -1218,20 +2525,1069 @@ test('edgeLength - bad resolution', assert => {
     assert.end();
 });
 
-test('numHexagons', assert => {
-    let last = 0;
+test('getSampleSpacing', assert => {
     for (let res = 0; res < 16; res++) {
-        const result = h3core.numHexagons(res);
-        assert.ok(typeof result === 'number', `Got numeric response ${result}`);
-        assert.ok(result > last, `result > last result: ${result}` + `, ${last}`);
-        last = result;
+        const spacingKm = h3core.degsToRads(h3core.getSampleSpacing(res)) * h3core.EARTH_RADIUS_KM;
+        assert.ok(
+            almostEqual(spacingKm * 3, h3core.edgeLength(res, h3core.UNITS.km)),
+            `Spacing is a third of the edge length at res ${res}`
+        );
     }
     assert.end();
 });
 
-test('numHexagons - bad resolution', assert => {
-    assert.throws(() => h3core.numHexagons(42), /Invalid/, 'throws on invalid resolution');
-    assert.throws(() => h3core.numHexagons(), /Invalid/, 'throws on invalid resolution');
+test('exactEdgeLength', assert => {
+    const edge = h3core.getH3UnidirectionalEdge('8928308280fffff', '8928308280bffff');
+    assert.ok(
+        almostEqual(h3core.exactEdgeLength(edge, h3core.UNITS.m), 209.4620748143499, 1e-8),
+        'Got expected length in m'
+    );
+    assert.ok(
+        almostEqual(h3core.exactEdgeLength(edge, h3core.UNITS.km), 0.2094620748143499, 1e-8),
+        'Got expected length in km'
+    );
+    assert.ok(
+        almostEqual(h3core.exactEdgeLength(edge, h3core.UNITS.rads), 0.000032877387964920305, 1e-8),
+        'Got expected length in rads'
+    );
+
+    const reverse = h3core.getH3UnidirectionalEdge('8928308280bffff', '8928308280fffff');
+    assert.ok(
+        almostEqual(
+            h3core.exactEdgeLength(reverse, h3core.UNITS.m),
+            h3core.exactEdgeLength(edge, h3core.UNITS.m)
+        ),
+        'Edges in both directions have the same length'
+    );
+
+    assert.end();
+});
+
+test('exactEdgeLength - face crossing', assert => {
+    const edge = '14167bffffffffff';
+    assert.equal(
+        h3core.getH3UnidirectionalEdgeBoundary(edge).length,
+        3,
+        'Edge crossing a face has three vertices'
+    );
+    assert.ok(
+        almostEqual(h3core.exactEdgeLength(edge, h3core.UNITS.km), 452.43498364974226, 1e-8),
+        'Got expected length for an edge crossing a face'
+    );
+    const reverse = h3core.getH3UnidirectionalEdge(
+        h3core.getDestinationH3IndexFromUnidirectionalEdge(edge),
+        h3core.getOriginH3IndexFromUnidirectionalEdge(edge)
+    );
+    assert.ok(
+        almostEqual(
+            h3core.exactEdgeLength(reverse, h3core.UNITS.km),
+            h3core.exactEdgeLength(edge, h3core.UNITS.km)
+        ),
+        'Edges crossing a face in both directions have the same length'
+    );
+    assert.end();
+});
 
+test('exactEdgeLength - res 12', assert => {
+    const origin = h3core.geoToH3(37.3615593, -122.0553238, 12);
+    const average = h3core.edgeLength(12, h3core.UNITS.m);
+    h3core.getH3UnidirectionalEdgesFromHexagon(origin).forEach(edge => {
+        const length = h3core.exactEdgeLength(edge, h3core.UNITS.m);
+        assert.ok(
+            length > average * 0.5 && length < average * 1.5,
+            `Length close to average: ${length}`
+        );
+    });
+    assert.end();
+});
+
+test('exactEdgeLength - errors', assert => {
+    const edge = h3core.getH3UnidirectionalEdge('8928308280fffff', '8928308280bffff');
+    assert.throws(() => h3core.exactEdgeLength(edge), /Unknown/, 'throws on missing unit');
+    assert.throws(
+        () => h3core.exactEdgeLength(edge, h3core.UNITS.m2),
+        /Unknown/,
+        'throws on invalid unit'
+    );
+    assert.throws(
+        () => h3core.exactEdgeLength('8928308280fffff', h3core.UNITS.m),
+        /Invalid unidirectional edge/,
+        'throws on hexagon'
+    );
     assert.end();
 });
+
+test('pointDistance', assert => {
+    const sanFrancisco = [37.7749, -122.4194];
+    const newYork = [40.7128, -74.006];
+    assert.ok(
+        almostEqual(
+            h3core.pointDistance(sanFrancisco, newYork, h3core.UNITS.km),
+            4129.090819056859
+        ),
+        'Got expected distance in km'
+    );
+    assert.ok(
+        almostEqual(h3core.pointDistance(sanFrancisco, newYork, h3core.UNITS.m), 4129090.819056859),
+        'Got expected distance in m'
+    );
+    assert.ok(
+        almostEqual(
+            h3core.pointDistance(sanFrancisco, newYork, h3core.UNITS.rads),
+            0.648106445621929
+        ),
+        'Got expected distance in rads'
+    );
+    assert.equal(
+        h3core.pointDistance(sanFrancisco, sanFrancisco, h3core.UNITS.m),
+        0,
+        'Distance to the same point is zero'
+    );
+    assert.ok(
+        almostEqual(
+            h3core.pointDistance([0, 179.5], [0, -179.5], h3core.UNITS.rads),
+            (Math.PI / 180) * 1
+        ),
+        'Distance across the antimeridian is the short way round'
+    );
+
+    assert.end();
+});
+
+test('pointDistance - GeoJSON', assert => {
+    const a = [37.7749, -122.4194];
+    const b = [40.7128, -74.006];
+    assert.equal(
+        h3core.pointDistance([a[1], a[0]], [b[1], b[0]], h3core.UNITS.km, true),
+        h3core.pointDistance(a, b, h3core.UNITS.km),
+        'GeoJSON points give the same distance'
+    );
+    assert.end();
+});
+
+test('pointDistance - errors', assert => {
+    const a = [37.7749, -122.4194];
+    assert.throws(() => h3core.pointDistance(a, a), /Unknown/, 'throws on missing unit');
+    assert.throws(
+        () => h3core.pointDistance(a, a, h3core.UNITS.km2),
+        /Unknown/,
+        'throws on invalid unit'
+    );
+    assert.throws(
+        () => h3core.pointDistance(a, [37], h3core.UNITS.km),
+        /Invalid point/,
+        'throws on short point'
+    );
+    assert.throws(
+        () => h3core.pointDistance(a, ['37', '-122'], h3core.UNITS.km),
+        /Invalid point/,
+        'throws on non-numeric point'
+    );
+    assert.throws(
+        () => h3core.pointDistance(null, a, h3core.UNITS.km),
+        /Invalid point/,
+        'throws on missing point'
+    );
+    assert.end();
+});
+
+test('h3CenterDistance', assert => {
+    const origin = '8928308280fffff';
+    const destination = '8928308280bffff';
+    assert.equal(
+        h3core.h3CenterDistance(origin, destination, h3core.UNITS.m),
+        h3core.pointDistance(h3core.h3ToGeo(origin), h3core.h3ToGeo(destination), h3core.UNITS.m),
+        'Got distance between centers'
+    );
+    assert.ok(
+        almostEqual(
+            h3core.h3CenterDistance(origin, destination, h3core.UNITS.m),
+            348.34316416182315,
+            1e-8
+        ),
+        'Got expected distance in m'
+    );
+    assert.equal(
+        h3core.h3CenterDistance(origin, origin, h3core.UNITS.km),
+        0,
+        'Distance to the same hexagon is zero'
+    );
+    assert.ok(
+        h3core.h3CenterDistance(origin, h3core.h3ToParent(destination, 5), h3core.UNITS.km) > 0,
+        'Got distance between hexagons at different resolutions'
+    );
+    assert.throws(
+        () => h3core.h3CenterDistance(origin, 'foo', h3core.UNITS.km),
+        /Invalid hexagon/,
+        'throws on invalid hexagon'
+    );
+    assert.throws(
+        () => h3core.h3CenterDistance(origin, destination, 'foo'),
+        /Unknown/,
+        'throws on unknown unit'
+    );
+    assert.end();
+});
+
+test('numHexagons', assert => {
+    let last = 0;
+    for (let res = 0; res < 16; res++) {
+        const result = h3core.numHexagons(res);
+        assert.ok(typeof result === 'number', `Got numeric response ${result}`);
+        assert.ok(result > last, `result > last result: ${result}` + `, ${last}`);
+        last = result;
+    }
+    assert.end();
+});
+
+test('numHexagons - bad resolution', assert => {
+    assert.throws(() => h3core.numHexagons(42), /Invalid/, 'throws on invalid resolution');
+    assert.throws(() => h3core.numHexagons(), /Invalid/, 'throws on invalid resolution');
+
+    assert.end();
+});
+
+test('h3AddressToSplitLong', assert => {
+    assert.deepEqual(
+        h3core.h3AddressToSplitLong('85283473fffffff'),
+        [1073741823, 139625287],
+        'Got expected split long for string address'
+    );
+    assert.deepEqual(
+        h3core.h3AddressToSplitLong([1073741823, 139625287]),
+        [1073741823, 139625287],
+        'Split long input is returned as-is'
+    );
+    assert.deepEqual(h3core.h3AddressToSplitLong(null), [0, 0], 'Null input returns zeros');
+    assert.end();
+});
+
+test('splitLongToH3Address', assert => {
+    assert.equal(
+        h3core.splitLongToH3Address(1073741823, 139625287),
+        '85283473fffffff',
+        'Got expected address for split long'
+    );
+    assert.equal(
+        h3core.splitLongToH3Address(-1, 139753266),
+        '8547732ffffffff',
+        'Handles negative lower bits'
+    );
+    assert.end();
+});
+
+test('Split long input', assert => {
+    const h3Address = '85283473fffffff';
+    const splitLong = h3core.h3AddressToSplitLong(h3Address);
+    assert.ok(h3core.h3IsValid(splitLong), 'Split long is considered valid');
+    assert.equal(h3core.h3GetResolution(splitLong), 5, 'Got expected resolution');
+    assert.deepEqual(h3core.h3ToGeo(splitLong), h3core.h3ToGeo(h3Address), 'Got expected center');
+    assert.deepEqual(
+        h3core.kRing(splitLong, 1).sort(),
+        h3core.kRing(h3Address, 1).sort(),
+        'Got expected kRing'
+    );
+    assert.deepEqual(
+        h3core.compact(h3core.h3ToChildren(splitLong, 7).map(h3core.h3AddressToSplitLong)),
+        [h3Address],
+        'Got expected compacted set from split long input'
+    );
+    assert.end();
+});
+
+test('BigInt input', assert => {
+    if (typeof BigInt !== 'function') {
+        assert.skip('BigInt not supported');
+        assert.end();
+        return;
+    }
+    const h3Address = '8547732ffffffff';
+    const bigInt = BigInt(`0x${h3Address}`);
+    assert.ok(h3core.h3IsValid(bigInt), 'BigInt is considered valid');
+    assert.equal(h3core.h3GetResolution(bigInt), 5, 'Got expected resolution');
+    assert.equal(h3core.h3ToParent(bigInt, 4), h3core.h3ToParent(h3Address, 4), 'Got parent');
+    assert.ok(
+        h3core.h3IndexesAreNeighbors(bigInt, h3core.hexRing(h3Address, 1)[0]),
+        'Mixed input formats are supported'
+    );
+    assert.end();
+});
+
+test('formatH3Address', assert => {
+    const h3Address = '8547732ffffffff';
+    assert.equal(h3core.formatH3Address(h3Address, 'string'), h3Address, 'string output');
+    assert.deepEqual(
+        h3core.formatH3Address(h3Address, h3core.H3_INDEX_FORMATS.splitLong),
+        [4294967295, 139753266],
+        'split long output'
+    );
+    assert.equal(
+        h3core.formatH3Address([4294967295, 139753266], h3core.H3_INDEX_FORMATS.string),
+        h3Address,
+        'string output from split long'
+    );
+    if (typeof BigInt === 'function') {
+        assert.equal(
+            h3core.formatH3Address(h3Address, h3core.H3_INDEX_FORMATS.bigInt),
+            BigInt(`0x${h3Address}`),
+            'BigInt output'
+        );
+        assert.equal(
+            h3core.formatH3Address(BigInt(`0x${h3Address}`), h3core.H3_INDEX_FORMATS.string),
+            h3Address,
+            'string output from BigInt'
+        );
+    }
+    assert.equal(h3core.formatH3Address(null, 'string'), null, 'null is passed through');
+    assert.throws(
+        () => h3core.formatH3Address(h3Address, 'hex'),
+        /Unknown index format/,
+        'throws on unknown format'
+    );
+    assert.end();
+});
+
+test('withIndexFormat - splitLong', assert => {
+    const h3 = h3core.withIndexFormat(h3core.H3_INDEX_FORMATS.splitLong);
+    const h3Address = h3.geoToH3(37.3615593, -122.0553238, 5);
+    assert.deepEqual(h3Address, [1073741823, 139625287], 'Got split long output');
+    assert.deepEqual(
+        h3.kRing(h3Address, 1),
+        h3core.kRing('85283473fffffff', 1).map(h3core.h3AddressToSplitLong),
+        'Got split long array output'
+    );
+    assert.deepEqual(
+        h3.kRingDistances(h3Address, 1)[0],
+        [[1073741823, 139625287]],
+        'Got split long nested array output'
+    );
+    assert.equal(
+        h3.getOriginH3IndexFromUnidirectionalEdge(h3Address),
+        null,
+        'null output is preserved'
+    );
+    assert.deepEqual(h3.h3ToGeo(h3Address), h3core.h3ToGeo(h3Address), 'Other output unchanged');
+    assert.end();
+});
+
+test('withIndexFormat - bigInt', assert => {
+    if (typeof BigInt !== 'function') {
+        assert.skip('BigInt not supported');
+        assert.end();
+        return;
+    }
+    const h3 = h3core.withIndexFormat(h3core.H3_INDEX_FORMATS.bigInt);
+    const h3Address = h3.geoToH3(37.3615593, -122.0553238, 5);
+    assert.equal(h3Address, BigInt('0x85283473fffffff'), 'Got BigInt output');
+    assert.deepEqual(
+        h3.h3ToChildren(h3Address, 6),
+        h3core.h3ToChildren('85283473fffffff', 6).map(h => BigInt(`0x${h}`)),
+        'Got BigInt array output'
+    );
+    assert.end();
+});
+
+test('withIndexFormat - string', assert => {
+    const h3 = h3core.withIndexFormat(h3core.H3_INDEX_FORMATS.string);
+    assert.equal(h3.geoToH3, h3core.geoToH3, 'String format returns the default functions');
+    assert.throws(
+        () => h3core.withIndexFormat('hex'),
+        /Unknown index format/,
+        'throws on unknown format'
+    );
+    assert.end();
+});
+
+test('decodeH3Address', assert => {
+    assert.deepEqual(
+        h3core.decodeH3Address('85283473fffffff'),
+        {
+            highBit: 0,
+            mode: h3core.H3_MODES.hexagon,
+            edgeDirection: 0,
+            resolution: 5,
+            baseCell: 20,
+            digits: [0, 6, 4, 3, 4, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7]
+        },
+        'Got expected components for hexagon'
+    );
+    assert.deepEqual(
+        h3core.decodeH3Address('1591ea6d6533ffff'),
+        {
+            highBit: 0,
+            mode: h3core.H3_MODES.unidirectionalEdge,
+            edgeDirection: 5,
+            resolution: 9,
+            baseCell: 15,
+            digits: [2, 4, 6, 6, 5, 4, 5, 1, 4, 7, 7, 7, 7, 7, 7]
+        },
+        'Got expected components for edge'
+    );
+    assert.equal(
+        h3core.decodeH3Address('8f2000000000000').digits[14],
+        0,
+        'Got expected resolution 15 digit'
+    );
+    assert.end();
+});
+
+test('encodeH3Address', assert => {
+    for (let res = 0; res < 16; res++) {
+        const h3Address = h3core.geoToH3(37.3615593, -122.0553238, res);
+        assert.equal(
+            h3core.encodeH3Address(h3core.decodeH3Address(h3Address)),
+            h3Address,
+            `Round trip for res ${res}`
+        );
+    }
+    assert.equal(
+        h3core.encodeH3Address(h3core.decodeH3Address('1591ea6d6533ffff')),
+        '1591ea6d6533ffff',
+        'Round trip for edge'
+    );
+    assert.equal(
+        h3core.encodeH3Address({resolution: 0, baseCell: 4}),
+        '8009fffffffffff',
+        'Defaults to hexagon mode'
+    );
+    assert.equal(
+        h3core.encodeH3Address({resolution: 1, baseCell: 4, digits: [2]}),
+        '8108bffffffffff',
+        'Encodes pentagon child'
+    );
+    assert.equal(
+        h3core.encodeH3Address({resolution: 15, baseCell: 16}),
+        '8f2000000000000',
+        'Missing digits default to center digit'
+    );
+    assert.end();
+});
+
+test('encodeH3Address - Invalid', assert => {
+    assert.throws(
+        () => h3core.encodeH3Address({resolution: 0, baseCell: 122}),
+        /Invalid baseCell: 122/,
+        'throws on invalid base cell'
+    );
+    assert.throws(
+        () => h3core.encodeH3Address({resolution: 16, baseCell: 0}),
+        /Invalid resolution/,
+        'throws on invalid resolution'
+    );
+    assert.throws(
+        () => h3core.encodeH3Address({mode: 3, resolution: 0, baseCell: 0}),
+        /Invalid mode/,
+        'throws on invalid mode'
+    );
+    assert.throws(
+        () => h3core.encodeH3Address({resolution: 2, baseCell: 0, digits: [1, 7]}),
+        /Invalid digits/,
+        'throws on invalid digit'
+    );
+    assert.throws(
+        () => h3core.encodeH3Address({resolution: 1, baseCell: 4, digits: [1]}),
+        /Invalid digits/,
+        'throws on deleted pentagon subsequence'
+    );
+    assert.throws(
+        () => h3core.encodeH3Address({mode: 2, resolution: 0, baseCell: 0}),
+        /Invalid edgeDirection/,
+        'throws on edge without direction'
+    );
+    assert.end();
+});
+
+test('getH3AddressInvalidField', assert => {
+    assert.equal(h3core.getH3AddressInvalidField('85283473fffffff'), null, 'valid hexagon');
+    assert.equal(h3core.getH3AddressInvalidField('1591ea6d6533ffff'), null, 'valid edge');
+    assert.equal(h3core.getH3AddressInvalidField('885283473fffffff'), 'highBit', 'high bit set');
+    assert.equal(h3core.getH3AddressInvalidField('05283473fffffff'), 'mode', 'zero mode');
+    assert.equal(h3core.getH3AddressInvalidField('lolwut'), 'mode', 'garbage string');
+    assert.equal(
+        h3core.getH3AddressInvalidField('b5283473fffffff'),
+        'edgeDirection',
+        'reserved bits set on hexagon'
+    );
+    assert.equal(
+        h3core.getH3AddressInvalidField('1091ea6d6533ffff'),
+        'edgeDirection',
+        'edge without direction'
+    );
+    assert.equal(
+        h3core.getH3AddressInvalidField('11009fffffffffff'),
+        'edgeDirection',
+        'pentagon edge in deleted direction'
+    );
+    assert.equal(h3core.getH3AddressInvalidField('85fe0000fffffff'), 'baseCell', 'bad base cell');
+    assert.equal(
+        h3core.getH3AddressInvalidField('85283473ffffffe'),
+        'digits',
+        'used digit in unused resolution'
+    );
+    assert.equal(
+        h3core.getH3AddressInvalidField('83283473fffffff'),
+        'digits',
+        'unused digit in used resolution'
+    );
+    assert.equal(
+        h3core.getH3AddressInvalidField('81087ffffffffff'),
+        'digits',
+        'deleted pentagon subsequence'
+    );
+    assert.end();
+});
+
+test('h3GetResolution - bit layout', assert => {
+    assert.equal(h3core.h3GetResolution('1591ea6d6533ffff'), 9, 'Got resolution of edge');
+    assert.equal(
+        h3core.h3GetResolution(h3core.h3AddressToSplitLong('85283473fffffff')),
+        5,
+        'Got resolution of split long'
+    );
+    assert.ok(Number.isNaN(h3core.h3GetResolution('zzz')), 'Got NaN for an invalid string');
+    assert.ok(
+        Number.isNaN(h3core.h3GetResolution('8z28308280fffff')),
+        'Got NaN for a string that is not hexadecimal'
+    );
+    assert.equal(h3core.h3GetResolution(null), -1, 'Got -1 for a non-address');
+    assert.end();
+});
+
+test('H3Error', assert => {
+    const err = new h3core.H3Error(h3core.H3_ERROR_CODES.invalidCell, 'Bad cell');
+    assert.ok(err instanceof Error, 'H3Error is an Error');
+    assert.ok(err instanceof h3core.H3Error, 'H3Error is an H3Error');
+    assert.equal(err.name, 'H3Error', 'Got name');
+    assert.equal(err.code, h3core.H3_ERROR_CODES.invalidCell, 'Got code');
+    assert.equal(err.message, 'Bad cell', 'Got message');
+    assert.ok(err.stack, 'Got stack');
+    assert.end();
+});
+
+test('H3Error - codes', assert => {
+    const codes = h3core.H3_ERROR_CODES;
+    const pentagon = '821c07fffffffff';
+    const cases = [
+        [() => h3core.hexArea(16, h3core.UNITS.km2), codes.invalidResolution],
+        [() => h3core.uncompact(['8928308280fffff'], 5), codes.invalidResolution],
+        [() => h3core.encodeH3Address({resolution: 16, baseCell: 20}), codes.invalidResolution],
+        [() => h3core.encodeH3Address({resolution: 1, baseCell: 200}), codes.invalidArgument],
+        [() => h3core.h3Distance('8928308280fffff', 'foo'), codes.invalidCell],
+        [() => h3core.exactEdgeLength('8928308280fffff', h3core.UNITS.m), codes.invalidEdge],
+        [() => h3core.pointDistance([0], [0, 0], h3core.UNITS.m), codes.invalidCoordinates],
+        [() => h3core.localIjToH3('8928308280fffff', {i: 0.5, j: 0}), codes.invalidCoordinates],
+        [() => h3core.hexArea(9, 'acres'), codes.invalidArgument],
+        [() => h3core.polyfill([], 9, false, 'nearby'), codes.invalidArgument],
+        [() => h3core.withIndexFormat('hex'), codes.invalidArgument],
+        [() => h3core.h3Distance('8928308280fffff', '8828308281fffff'), codes.resolutionMismatch],
+        [() => h3core.h3Distance('8928308280fffff', '89be0e35cbbffff'), codes.cellsTooFar],
+        [() => h3core.hexRing(pentagon, 1), codes.pentagon],
+        [() => h3core.compact(new Array(10).fill('8500924bfffffff')), codes.duplicateInput],
+        [() => h3core.kRing('8928308280fffff', 30000), codes.allocationTooLarge]
+    ];
+    cases.forEach(([fn, code]) => {
+        const err = getThrownError(fn);
+        assert.ok(
+            err instanceof h3core.H3Error && err.code === code,
+            `throws H3Error with code ${code}: ${err && err.message}`
+        );
+    });
+    assert.end();
+});
+
+function withStrictMode(fn) {
+    h3core.setStrictMode(true);
+    try {
+        fn();
+    } finally {
+        h3core.setStrictMode(false);
+    }
+}
+
+test('setStrictMode', assert => {
+    assert.equal(h3core.isStrictMode(), false, 'Strict mode is off by default');
+    withStrictMode(() => {
+        assert.equal(h3core.isStrictMode(), true, 'Strict mode can be turned on');
+    });
+    assert.equal(h3core.isStrictMode(), false, 'Strict mode can be turned off');
+    assert.end();
+});
+
+test('setStrictMode - invalid cells', assert => {
+    withStrictMode(() => {
+        const err = getThrownError(() => h3core.h3ToGeo('zzz'));
+        assert.ok(err instanceof h3core.H3Error, 'throws H3Error');
+        assert.equal(err.code, h3core.H3_ERROR_CODES.invalidCell, 'Got invalid cell code');
+        assert.equal(
+            err.message,
+            'h3ToGeo: invalid cell for argument h3Address: "zzz"',
+            'Message names the function, argument and value'
+        );
+        assert.throws(
+            () => h3core.kRing(null, 1),
+            /kRing: invalid cell for argument h3Address: null/,
+            'throws on null cell'
+        );
+        assert.throws(
+            () => h3core.h3Distance('8928308280fffff', '16928308280fffff'),
+            /h3Distance: invalid cell for argument destination/,
+            'throws on edge in place of a cell'
+        );
+        assert.equal(
+            h3core.h3ToParent('8928308280fffff', 5),
+            '85283083fffffff',
+            'valid cells pass'
+        );
+    });
+    assert.end();
+});
+
+test('setStrictMode - invalid sets', assert => {
+    withStrictMode(() => {
+        assert.throws(
+            () => h3core.compact(['8928308280fffff', 'foo']),
+            /compact: invalid cell for argument h3Set\[1\]: "foo"/,
+            'throws naming the invalid element'
+        );
+        assert.throws(
+            () => h3core.h3SetToMultiPolygon('8928308280fffff'),
+            /h3SetToMultiPolygon: expected an array for argument h3Addresses/,
+            'throws on non-array set'
+        );
+        assert.deepEqual(h3core.uncompact([], 9), [], 'empty sets pass');
+    });
+    assert.end();
+});
+
+test('setStrictMode - keyed sets', assert => {
+    const properties = {value: 1};
+    withStrictMode(() => {
+        assert.deepEqual(
+            h3core.h3SetToFeatureCollection({'8928308280fffff': properties}).features[0].properties,
+            properties,
+            'object keyed by valid cells passes'
+        );
+        assert.deepEqual(
+            h3core.h3SetToFeatureCollection(new Map([['8928308280fffff', properties]])).features[0]
+                .properties,
+            properties,
+            'Map keyed by valid cells passes'
+        );
+        assert.throws(
+            () => h3core.h3SetToFeatureCollection({'8928308280fffff': properties, foo: properties}),
+            /h3SetToFeatureCollection: invalid cell for argument hexagons key: "foo"/,
+            'throws naming the invalid object key'
+        );
+        assert.throws(
+            () => h3core.h3SetToFeatureCollection(new Map([['zzz', properties]])),
+            /h3SetToFeatureCollection: invalid cell for argument hexagons key: "zzz"/,
+            'throws naming the invalid Map key'
+        );
+        assert.throws(
+            () => h3core.h3SetToFeatureCollection('8928308280fffff'),
+            /expected an array, object or Map for argument hexagons/,
+            'throws on non-set input'
+        );
+    });
+    assert.end();
+});
+
+test('setStrictMode - invalid edges and indexes', assert => {
+    withStrictMode(() => {
+        const err = getThrownError(() => h3core.getH3UnidirectionalEdgeBoundary('8928308280fffff'));
+        assert.equal(err.code, h3core.H3_ERROR_CODES.invalidEdge, 'Got invalid edge code');
+        assert.ok(
+            /getH3UnidirectionalEdgeBoundary: invalid edge for argument edgeAddress/.test(
+                err.message
+            ),
+            'throws on cell in place of an edge'
+        );
+        assert.throws(
+            () => h3core.h3AddressToSplitLong('zzz'),
+            /h3AddressToSplitLong: invalid index for argument h3Address: "zzz"/,
+            'throws on unparseable address'
+        );
+        assert.throws(
+            () => h3core.h3AddressToSplitLong(42),
+            /invalid index for argument h3Address: 42/,
+            'throws on non-string address'
+        );
+        assert.equal(
+            h3core.h3GetResolution('16928308280fffff'),
+            9,
+            'edges are valid where any index is accepted'
+        );
+        assert.deepEqual(
+            h3core.h3ToGeo([0x280fffff, 0x8928308]),
+            h3core.h3ToGeo('8928308280fffff'),
+            'split longs are validated'
+        );
+    });
+    assert.end();
+});
+
+test('setStrictMode - withIndexFormat', assert => {
+    const h3SplitLong = h3core.withIndexFormat(h3core.H3_INDEX_FORMATS.splitLong);
+    withStrictMode(() => {
+        assert.throws(
+            () => h3SplitLong.kRing('zzz', 1),
+            /kRing: invalid cell/,
+            'formatted API is strict'
+        );
+    });
+    assert.deepEqual(h3SplitLong.kRing('zzz', 1), [], 'formatted API is lenient again');
+    assert.end();
+});
+
+test('setStrictMode - H3CellSet', assert => {
+    const cells = new h3core.H3CellSet(['8928308280fffff']);
+    withStrictMode(() => {
+        const err = getThrownError(() => cells.has('zzz'));
+        assert.ok(err instanceof h3core.H3Error, 'throws H3Error');
+        assert.equal(err.code, h3core.H3_ERROR_CODES.invalidCell, 'Got invalid cell code');
+        assert.equal(
+            err.message,
+            'H3CellSet#has: invalid cell for argument h3Address: "zzz"',
+            'Message names the method, argument and value'
+        );
+        assert.throws(
+            () => cells.containsCell('16928308280fffff'),
+            /H3CellSet#containsCell: invalid cell for argument h3Address/,
+            'containsCell throws on edge'
+        );
+        assert.throws(
+            () => cells.remove(null),
+            /H3CellSet#remove: invalid cell for argument h3Address: null/,
+            'remove throws on null'
+        );
+        assert.throws(
+            () => cells.add('zzz'),
+            /H3CellSet#add: invalid cell for argument h3Address: "zzz"/,
+            'add throws on invalid cell'
+        );
+        assert.throws(
+            () => new h3core.H3CellSet(['8928308280fffff', 'foo']),
+            /H3CellSet#add: invalid cell for argument h3Address: "foo"/,
+            'constructor throws on invalid cell'
+        );
+        assert.throws(
+            () => h3core.H3CellSet.fromCompactedArray(['8928308280fffff', 'foo']),
+            /H3CellSet.fromCompactedArray: invalid cell for argument compactedSet\[1\]: "foo"/,
+            'fromCompactedArray throws naming the invalid element'
+        );
+        assert.ok(cells.containsCell('8a28308280c7fff'), 'valid cells pass');
+        assert.equal(cells.size, 1, 'Set is unchanged');
+    });
+    assert.equal(cells.has('zzz'), false, 'has is lenient again');
+    assert.equal(cells.containsCell('zzz'), false, 'containsCell is lenient again');
+    assert.end();
+});
+
+test('setStrictMode - off', assert => {
+    assert.equal(
+        h3core.getOriginH3IndexFromUnidirectionalEdge('foo'),
+        null,
+        'Invalid address returns null'
+    );
+    assert.deepEqual(h3core.kRing('zzz', 1), [], 'Invalid address returns empty array');
+    assert.end();
+});
+
+test('getHeapStats', assert => {
+    const before = h3core.getHeapStats();
+    assert.ok(before.heapSize > 0, 'Got heap size');
+    assert.equal(before.bytesAllocated, 0, 'Nothing allocated between calls');
+    assert.equal(before.allocationCount, 0, 'No allocations held between calls');
+
+    h3core.kRing('8928308280fffff', 10);
+    const after = h3core.getHeapStats();
+    assert.equal(after.bytesAllocated, 0, 'Allocations freed after call');
+    assert.ok(after.highWaterMark >= 331 * 8, `High-water mark includes the k-ring output`);
+
+    assert.end();
+});
+
+test('getHeapStats - no leaks', assert => {
+    const polygon = [
+        [[37.81, -122.4], [37.72, -122.35], [37.81, -122.47]],
+        [[37.78, -122.42], [37.77, -122.41], [37.78, -122.41]]
+    ];
+    const calls = [
+        () => h3core.geoToH3(37.3615593, -122.0553238, 9),
+        () => h3core.h3ToGeo('8928308280fffff'),
+        () => h3core.h3ToGeoBoundary('8928308280fffff'),
+        () => h3core.geoToH3Batch(new Float64Array([37]), new Float64Array([-122]), 9),
+        () => h3core.h3ToGeoBatch(new Uint32Array([0x280fffff, 0x8928308])),
+        () => h3core.h3ToChildren('8928308280fffff', 11),
+        () => h3core.kRingDistances('8928308280fffff', 2),
+        () => h3core.polyfill(polygon, 7),
+        () => h3core.h3SetToMultiPolygon(h3core.kRing('8928308280fffff', 2)),
+        () => h3core.compact(h3core.h3ToChildren('85283473fffffff', 7)),
+        () => h3core.uncompact(['85283473fffffff'], 7),
+        () => h3core.getH3IndexesFromUnidirectionalEdge('16928308280fffff'),
+        () => h3core.getH3UnidirectionalEdgesFromHexagon('8928308280fffff')
+    ];
+    calls.forEach((fn, i) => {
+        fn();
+        assert.equal(h3core.getHeapStats().bytesAllocated, 0, `No leak after call ${i}`);
+    });
+    assert.end();
+});
+
+test('getHeapStats - no leaks on error', assert => {
+    const calls = [
+        // Invalid coordinate in the middle of a polygon
+        () => h3core.polyfill([[37.81, -122.4], [37.72, -122.35], null], 7),
+        // Invalid coordinate in a hole
+        () => h3core.polyfill([[[37.81, -122.4], [37.72, -122.35], [37.81, -122.47]], [null]], 7),
+        () => h3core.hexRing('821c07fffffffff', 1),
+        () => h3core.compact(new Array(10).fill('8500924bfffffff')),
+        () => h3core.uncompact(['8928308280fffff'], 5),
+        () => h3core.h3ToChildren('8001fffffffffff', 15)
+    ];
+    calls.forEach((fn, i) => {
+        assert.throws(fn, `Call ${i} throws`);
+        assert.equal(h3core.getHeapStats().bytesAllocated, 0, `No leak after error ${i}`);
+    });
+    assert.end();
+});
+
+test('initialize - WebAssembly entry point', assert => {
+    const {initialize} = require('../lib/h3core-wasm');
+    const initialization = initialize();
+    assert.equal(initialize(), initialization, 'Later calls return the same promise');
+    initialization.then(
+        api => {
+            // The synchronous entry point is already loaded here, so it is reused
+            assert.equal(api, h3core, 'Resolves to the loaded API');
+            assert.equal(
+                api.geoToH3(37.3615593, -122.0553238, 5),
+                '85283473fffffff',
+                'API is ready to use'
+            );
+            assert.end();
+        },
+        err => {
+            assert.fail(err);
+            assert.end();
+        }
+    );
+});
+
+/**
+ * Whether the WebAssembly build of the core library has been compiled
+ * @return {Boolean} Whether the build output is present
+ */
+function hasWasmBuild() {
+    try {
+        require.resolve('../out/libh3-wasm');
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+test('initialize - WebAssembly build matches the asm.js build', assert => {
+    // The core library is loaded once per process, so the WebAssembly build is loaded
+    // in a child process
+    const script = require.resolve('./wasm-results');
+    execFile(process.execPath, [script], {maxBuffer: 16 * 1024 * 1024}, (err, stdout, stderr) => {
+        if (!hasWasmBuild()) {
+            // The build output is only present once compiled by `yarn build-emscripten`
+            assert.ok(
+                err && /libh3-wasm/.test(stderr),
+                'Rejects until the WebAssembly build is compiled'
+            );
+            assert.end();
+            return;
+        }
+        if (err) {
+            assert.fail(err);
+            assert.end();
+            return;
+        }
+        const output = JSON.parse(stdout);
+        // Round trip through JSON, as the child process output is
+        const expected = JSON.parse(JSON.stringify(getSampleResults(h3core)));
+        assert.ok(output.usingWasm, 'Child process uses the WebAssembly build');
+        assert.ok(output.heapGrown, 'Heap grows');
+        Object.keys(expected).forEach(name => {
+            assert.deepEqual(output.results[name], expected[name], `${name} matches`);
+        });
+        assert.end();
+    });
+});
+
+test('setCoreModule', assert => {
+    const libh3 = require('../lib/libh3');
+    assert.ok(libh3.hasCoreModule(), 'Core module is loaded');
+    assert.equal(libh3.setCoreModule({}), false, 'Module in use is not replaced');
+    assert.end();
+});
+
+const {createPool} = require('../lib/h3core-pool');
+
+let sharedPool = null;
+
+/**
+ * Add a test using the pool shared by the pool tests, created by the first of them to run.
+ * Workers are worker threads, or child processes on Node versions without them.
+ * @param {String}   name Test name
+ * @param {Function} fn   Test function, called with the assert object and the pool
+ */
+function poolTest(name, fn) {
+    test(name, assert => {
+        sharedPool = sharedPool || createPool({size: 2});
+        fn(assert, sharedPool);
+    });
+}
+
+const SF_HOLE_GEOJSON = [
+    [-122.4471197, 37.7869802],
+    [-122.4590777, 37.7664102],
+    [-122.4137097, 37.7710682]
+];
+
+poolTest('createPool - polyfill', (assert, pool) => {
+    const polygon = SF_POLYGON_GEOJSON.concat([SF_HOLE_GEOJSON]);
+    const cases = [];
+    [7, 9, 10].forEach(res => {
+        Object.keys(h3core.POLYFILL_MODES).forEach(mode => cases.push([res, mode]));
+    });
+    Promise.all(
+        cases.map(([res, mode]) =>
+            pool.polyfill(polygon, res, true, mode).then(hexagons => {
+                const expected = h3core.polyfill(polygon, res, true, mode);
+                assert.deepEqual(
+                    hexagons.sort(),
+                    expected.sort(),
+                    `Matches polyfill at res ${res}, ${mode} mode`
+                );
+            })
+        )
+    ).then(() => assert.end(), assert.end);
+});
+
+poolTest('createPool - polyfill single loop and transmeridian', (assert, pool) => {
+    const loop = SF_POLYGON_GEOJSON[0].map(([lng, lat]) => [lat, lng]);
+    const transmeridian = [[0.5, 179.5], [0.5, -179.5], [-0.5, -179.5], [-0.5, 179.5]];
+    Promise.all([
+        pool.polyfill(loop, 9),
+        pool.polyfill(transmeridian, 7),
+        pool.polyfill([], 9)
+    ]).then(([hexagons, transmeridianHexagons, empty]) => {
+        assert.deepEqual(hexagons.sort(), h3core.polyfill(loop, 9).sort(), 'Single loop');
+        assert.deepEqual(
+            transmeridianHexagons.sort(),
+            h3core.polyfill(transmeridian, 7).sort(),
+            'Transmeridian polygon'
+        );
+        assert.deepEqual(empty, [], 'Empty polygon');
+        assert.end();
+    }, assert.end);
+});
+
+poolTest('createPool - compact and uncompact', (assert, pool) => {
+    const hexagons = h3core.polyfill(SF_POLYGON_GEOJSON, 9, true);
+    const compacted = h3core.compact(hexagons);
+    Promise.all([
+        pool.compact(hexagons),
+        pool.uncompact(compacted, 10),
+        pool.compact([]),
+        pool.uncompact([], 10),
+        pool.compact(hexagons.concat(compacted), {normalize: true})
+    ]).then(([poolCompacted, poolUncompacted, emptyCompacted, emptyUncompacted, normalized]) => {
+        assert.deepEqual(poolCompacted.sort(), compacted.slice().sort(), 'Matches compact');
+        assert.deepEqual(
+            poolUncompacted,
+            h3core.uncompact(compacted, 10),
+            'Matches uncompact, in order'
+        );
+        assert.deepEqual(emptyCompacted, [], 'Empty compact');
+        assert.deepEqual(emptyUncompacted, [], 'Empty uncompact');
+        assert.deepEqual(normalized.sort(), compacted.slice().sort(), 'Normalized compact');
+        assert.end();
+    }, assert.end);
+});
+
+poolTest('createPool - errors', (assert, pool) => {
+    const codes = h3core.H3_ERROR_CODES;
+    const expectRejection = (promise, code, message) =>
+        promise.then(
+            () => assert.fail(message),
+            err => assert.ok(err instanceof h3core.H3Error && err.code === code, message)
+        );
+    const err = getThrownError(() => createPool({size: 0}));
+    assert.equal(err && err.code, codes.invalidArgument, 'Invalid size throws');
+    Promise.all([
+        expectRejection(
+            pool.polyfill(SF_POLYGON_GEOJSON, 16, true),
+            codes.invalidResolution,
+            'polyfill rejects invalid res'
+        ),
+        expectRejection(
+            pool.polyfill(SF_POLYGON_GEOJSON, 9, true, 'nearby'),
+            codes.invalidArgument,
+            'polyfill rejects invalid mode'
+        ),
+        expectRejection(
+            pool.compact(new Array(10).fill('8500924bfffffff')),
+            codes.duplicateInput,
+            'compact rejects duplicates'
+        ),
+        expectRejection(
+            pool.uncompact(['8928308280fffff'], 5),
+            codes.invalidResolution,
+            'uncompact rejects invalid res'
+        ),
+        expectRejection(
+            pool.uncompact([], 16),
+            codes.invalidResolution,
+            'uncompact rejects invalid res for empty input'
+        )
+    ]).then(() => assert.end(), assert.end);
+});
+
+poolTest('createPool - strict mode', (assert, pool) => {
+    withStrictMode(() => {
+        pool.uncompact(['8928308280fffff', 'zzz'], 10).then(
+            () => {
+                assert.fail('Should reject invalid cell');
+                assert.end();
+            },
+            err => {
+                assert.ok(
+                    err instanceof h3core.H3Error && /"zzz"/.test(err.message),
+                    'Rejects invalid cell'
+                );
+                assert.end();
+            }
+        );
+    });
+});
+
+poolTest('createPool - terminate', (assert, pool) => {
+    const pending = pool
+        .uncompact(['85283473fffffff'], 12)
+        .then(
+            () => assert.fail('Pending job should be rejected'),
+            err => assert.equal(err.code, h3core.H3_ERROR_CODES.workerFailed, 'Rejects pending job')
+        );
+    Promise.all([pending, pool.terminate()])
+        .then(() => pool.compact(['8928308280fffff']))
+        .then(
+            () => assert.fail('Terminated pool should reject'),
+            err => assert.equal(err.code, h3core.H3_ERROR_CODES.workerFailed, 'Rejects new job')
+        )
+        .then(() => pool.polyfill(SF_POLYGON_GEOJSON, 16, true))
+        .then(
+            () => assert.fail('Invalid res should reject'),
+            err =>
+                assert.equal(
+                    err.code,
+                    h3core.H3_ERROR_CODES.invalidResolution,
+                    'Validates polyfill arguments before splitting the polygon'
+                )
+        )
+        .then(() => assert.end(), assert.end);
+});
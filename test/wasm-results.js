@@ -0,0 +1,105 @@
+/*
+ * Copyright 2018 Uber Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env node */
+
+// Results of a sample of API calls, to compare the WebAssembly build of the core library
+// with the asm.js build. The core library is loaded once per process, so run directly
+// this prints the results from the WebAssembly build, as JSON, for the tests to compare.
+
+const POLYGON = [
+    [
+        [37.813318999983238, -122.4089866999972145],
+        [37.7866302000007224, -122.3805436999997056],
+        [37.7198061999978478, -122.3544736999993603],
+        [37.7076131999975672, -122.5123436999983966],
+        [37.7835871999971715, -122.5247187000021967],
+        [37.8151571999998453, -122.4798767000009008]
+    ],
+    [[37.7869802, -122.4471197], [37.7664102, -122.4590777], [37.7710682, -122.4137097]]
+];
+
+const PENTAGON = '821c07fffffffff';
+
+/**
+ * Get the results of a sample of API calls, covering the core library bindings
+ * @param  {Object} h3core API to call
+ * @return {Object}        Results by function name
+ */
+function getSampleResults(h3core) {
+    const resolutions = [0, 3, 7, 11, 15];
+    const origin = h3core.geoToH3(37.3615593, -122.0553238, 9);
+    const neighbors = h3core.kRing(origin, 1);
+    const edges = h3core.getH3UnidirectionalEdgesFromHexagon(origin);
+    const filled = h3core.polyfill(POLYGON, 9);
+    return {
+        geoToH3: resolutions.map(res => h3core.geoToH3(-33.8688, 151.2093, res)),
+        h3ToGeo: [origin, PENTAGON].map(h3Address => h3core.h3ToGeo(h3Address)),
+        h3ToGeoBoundary: [origin, PENTAGON].map(h3Address => h3core.h3ToGeoBoundary(h3Address)),
+        h3IsPentagon: [origin, PENTAGON].map(h3Address => h3core.h3IsPentagon(h3Address)),
+        kRing: h3core.kRing(PENTAGON, 2),
+        kRingDistances: h3core.kRingDistances(origin, 2),
+        hexRing: h3core.hexRing(origin, 3),
+        h3ToParent: h3core.h3ToParent(origin, 4),
+        h3ToChildren: h3core.h3ToChildren(origin, 11),
+        h3Distance: neighbors.map(h3Address => h3core.h3Distance(origin, h3Address)),
+        polyfill: filled,
+        compact: h3core.compact(filled),
+        uncompact: h3core.uncompact(h3core.compact(filled), 10).length,
+        h3SetToMultiPolygon: h3core.h3SetToMultiPolygon(neighbors, true),
+        getH3UnidirectionalEdgeBoundary: edges.map(edge =>
+            h3core.getH3UnidirectionalEdgeBoundary(edge)
+        ),
+        getH3IndexesFromUnidirectionalEdge: edges.map(edge =>
+            h3core.getH3IndexesFromUnidirectionalEdge(edge)
+        ),
+        hexArea: resolutions.map(res => h3core.hexArea(res, h3core.UNITS.km2)),
+        edgeLength: resolutions.map(res => h3core.edgeLength(res, h3core.UNITS.m)),
+        numHexagons: resolutions.map(res => h3core.numHexagons(res))
+    };
+}
+
+/**
+ * Print the sample results from the WebAssembly build, computed after growing the heap
+ */
+function printWasmResults() {
+    const {getCoreModule} = require('../lib/libh3');
+    require('../lib/h3core-wasm')
+        .initialize()
+        .then(h3core => {
+            const core = getCoreModule();
+            const heapSize = core.HEAPU8.length;
+            core._free(core._malloc(heapSize));
+            const output = {
+                usingWasm: Boolean(core.usingWasm),
+                heapGrown: core.HEAPU8.length > heapSize,
+                results: getSampleResults(h3core)
+            };
+            process.stdout.write(JSON.stringify(output));
+        })
+        .catch(err => {
+            process.stderr.write(`${err}\n`);
+            process.exitCode = 1;
+        });
+}
+
+if (require.main === module) {
+    printWasmResults();
+}
+
+module.exports = {
+    getSampleResults
+};